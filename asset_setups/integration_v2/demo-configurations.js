@@ -31,14 +31,23 @@ const hospitalData = {
     database: {
         platform: { x: 4, z: -4, width: 6, depth: 3, height: 0.5 },
         components: [
-            { name: "AirTable", x: 2, z: -4, info: "Cloud database with API integration" },
-            { name: "Excel", x: 6, z: -4, info: "Traditional spreadsheet storage" }
+            { name: "AirTable", shape: "cylinder", x: 2, z: -4, info: "Cloud database with API integration" },
+            { name: "Excel", shape: "cylinder", x: 6, z: -4, info: "Traditional spreadsheet storage" }
         ]
     }
 };
 
+// Connection widths and particle flow follow the throughput/latency metrics sent by live
+// sources or demo-timeline.json; without metrics the configured look is kept
+const trafficBindings = {
+    tubeRadius: { metric: 'throughput', scale: 'log', min: 10, max: 2000, range: [0.05, 0.16] },
+    particleCount: { metric: 'throughput', scale: 'log', min: 10, max: 2000, range: [1, 6] },
+    particleSpeed: { metric: 'latency', scale: 'log', min: 20, max: 2000, range: [0.03, 0.004] }
+};
+
 const hospitalConnections = [
     {
+        id: 'ui-to-logic',
         from: { type: 'platform', layer: 'userInterface' },
         to: { type: 'platform', layer: 'businessLogic' },
         options: { 
@@ -48,10 +57,12 @@ const hospitalConnections = [
             verticalOffset: 0.6,     
             useTubeGeometry: true,
             tubeRadius: 0.1,
-            showArrows: false
+            showArrows: false,
+            bindings: trafficBindings
         }
     },
     {
+        id: 'logic-to-output',
         from: { type: 'platform', layer: 'businessLogic' },
         to: { type: 'component', name: 'Output Tables' },
         options: { 
@@ -61,10 +72,12 @@ const hospitalConnections = [
             verticalOffset: 0.8,
             useTubeGeometry: true,
             tubeRadius: 0.09,
-            showArrows: false
+            showArrows: false,
+            bindings: trafficBindings
         }
     },
     {
+        id: 'output-to-database',
         from: { type: 'component', name: 'Output Tables' },
         to: { type: 'platform', layer: 'database' },
         options: { 
@@ -74,7 +87,8 @@ const hospitalConnections = [
             verticalOffset: 0.7,
             useTubeGeometry: true,
             tubeRadius: 0.11,
-            showArrows: false
+            showArrows: false,
+            bindings: trafficBindings
         }
     }
 ];
@@ -99,8 +113,8 @@ const networkData = {
         components: [
             { name: "Auth Service", x: 6, z: 2, info: "Authentication service" },
             { name: "Data Service", x: 10, z: 2, info: "Data processing service" },
-            { name: "Cache", x: 6, z: -2, info: "Redis caching layer" },
-            { name: "Database Storage", x: 10, z: -2, info: "Primary database storage" }
+            { name: "Cache", shape: "hexagon", x: 6, z: -2, info: "Redis caching layer" },
+            { name: "Database Storage", shape: "cylinder", x: 10, z: -2, info: "Primary database storage" }
         ]
     }
 };
@@ -134,6 +148,24 @@ const networkConnections = [
     }
 ];
 
+// The network diagram for autoLayout: 'force'. Elements with explicit x/z stay pinned
+// where they are, so the platforms and the gateway are released with pinned: false and
+// their hand-placed positions only seed the simulation.
+const networkForceData = {
+    frontend: {
+        ...networkData.frontend,
+        platform: { ...networkData.frontend.platform, pinned: false }
+    },
+    backend: {
+        ...networkData.backend,
+        components: networkData.backend.components.map(comp => ({ ...comp, pinned: false }))
+    },
+    services: {
+        ...networkData.services,
+        platform: { ...networkData.services.platform, pinned: false }
+    }
+};
+
 // Initialize all diagrams when the page loads
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Initializing enhanced 3D diagrams...');
@@ -151,7 +183,6 @@ document.addEventListener('DOMContentLoaded', function() {
             animationEnabled: true,        // Animated flow particles
             enableShadows: true,           // Enhanced shadows with ground plane
             enhancedGlassmorphism: true,   // Premium glassmorphism info cards
-            databaseShapes: true,          // Cylinder shapes for database components
             beveledEdges: true,            // Beveled edges for all components
             useTubeGeometry: true,         // 3D tube connections
             tubeRadius: 0.08,              // Connection thickness
@@ -181,7 +212,6 @@ document.addEventListener('DOMContentLoaded', function() {
             animationEnabled: true,        // Animated flow particles
             enableShadows: true,           // Enhanced shadows with ground plane
             enhancedGlassmorphism: true,   // Premium glassmorphism info cards
-            databaseShapes: true,          // Cylinder shapes for database components
             beveledEdges: true,            // Beveled edges for all components
             useTubeGeometry: true,         // 3D tube connections
             tubeRadius: 0.07,              // Slightly thinner connections
@@ -197,6 +227,30 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
+    // Force-directed variant of the network diagram
+    const diagram3 = new Diagram3D({
+        container: '#diagram3',
+        data: networkForceData,
+        connections: networkConnections,
+        options: {
+            showControls: false,           // Clean UI
+            showLegend: false,             // Clean UI
+            showConnectionInfo: false,     // Clean UI
+            enableInteraction: true,       // Enable enhanced interactions
+            animationEnabled: true,        // Animated flow particles
+            enableShadows: true,           // Enhanced shadows with ground plane
+            useTubeGeometry: true,         // 3D tube connections
+            tubeRadius: 0.08,              // Connection thickness
+            autoLayout: 'force',           // Unpinned elements settle by force simulation
+            autoResize: true               // Automatic responsive resizing
+        }
+    });
+    
+    // Reachable from the browser console, e.g. hospitalDiagram.connectDataSource({ url: ... })
+    window.hospitalDiagram = diagram1;
+    window.networkDiagram = diagram2;
+    window.networkForceDiagram = diagram3;
+    
     console.log('All  diagrams initialized successfully');
     // setTimeout(() => {
     //     const device1 = diagram1.getDeviceInfo();
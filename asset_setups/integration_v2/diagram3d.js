@@ -37,9 +37,19 @@ class SceneManager {
             startPosition: new THREE.Vector3(),
             targetPosition: new THREE.Vector3(),
             startTarget: new THREE.Vector3(),
-            targetTarget: new THREE.Vector3()
+            targetTarget: new THREE.Vector3(),
+            startZoom: 1,
+            targetZoom: 1,
+            currentTarget: new THREE.Vector3(),
+            startShear: new THREE.Vector2(),
+            targetShear: new THREE.Vector2()
         };
         
+        // Active projection from setProjection() (null for the stock views) and the
+        // oblique shear currently applied on top of the orthographic projection
+        this.projection = null;
+        this.projectionShear = new THREE.Vector2();
+        
         // Mouse-responsive camera system
         this.mouseCamera = {
             mouse: new THREE.Vector2(),
@@ -50,9 +60,20 @@ class SceneManager {
             isEnabled: this.options.mouseResponsive
         };
         
-        // Resize system
+        // Orbit/pan/zoom drag state
+        this.controlState = {
+            drag: null,
+            pointer: new THREE.Vector2(),
+            moved: 0,
+            suppressClick: false,
+            pinch: null,
+            twisted: false
+        };
+        
+        // Resize system; a fit provider re-frames its box after a resize instead of re-aiming the camera
         this.lastResize = 0;
         this.resizeDebounceTime = 150;
+        this.fitProvider = null;
         
         this.init();
     }
@@ -228,6 +249,13 @@ class SceneManager {
             1000
         );
         
+        // Oblique projections shear the orthographic matrix, so every update has to reapply it
+        const updateProjectionMatrix = this.camera.updateProjectionMatrix.bind(this.camera);
+        this.camera.updateProjectionMatrix = () => {
+            updateProjectionMatrix();
+            this.applyObliqueShear();
+        };
+        
         this.setIsometricView();
     }
     
@@ -292,6 +320,7 @@ class SceneManager {
     }
     
     setIsometricView(animated = true) {
+        this.resetProjection(animated);
         const baseDistance = this.responsiveSettings.cameraDistance;
         const baseTarget = new THREE.Vector3(-1, 0, 1);
         const responsive = this.getResponsiveCameraPosition(baseDistance, baseTarget);
@@ -303,8 +332,10 @@ class SceneManager {
         );
         
         if (animated) {
-            this.animateCameraTo(targetPos, responsive.target);
+            this.animateCameraTo(targetPos, responsive.target, 1);
         } else {
+            this.camera.zoom = 1;
+            this.camera.updateProjectionMatrix();
             this.camera.position.copy(targetPos);
             this.camera.lookAt(responsive.target);
             this.updateBaseCameraPositions();
@@ -312,6 +343,7 @@ class SceneManager {
     }
     
     setTopView(animated = true) {
+        this.resetProjection(animated);
         const baseDistance = this.responsiveSettings.cameraDistance;
         const baseTarget = new THREE.Vector3(-1, 0, 1);
         const responsive = this.getResponsiveCameraPosition(baseDistance, baseTarget);
@@ -319,8 +351,10 @@ class SceneManager {
         const targetPos = new THREE.Vector3(-1, responsive.distance * 1.2, 1);
         
         if (animated) {
-            this.animateCameraTo(targetPos, responsive.target);
+            this.animateCameraTo(targetPos, responsive.target, 1);
         } else {
+            this.camera.zoom = 1;
+            this.camera.updateProjectionMatrix();
             this.camera.position.copy(targetPos);
             this.camera.lookAt(responsive.target);
             this.updateBaseCameraPositions();
@@ -328,6 +362,7 @@ class SceneManager {
     }
     
     setSideView(animated = true) {
+        this.resetProjection(animated);
         const baseDistance = this.responsiveSettings.cameraDistance;
         const baseTarget = new THREE.Vector3(0, 0, 0);
         const responsive = this.getResponsiveCameraPosition(baseDistance, baseTarget);
@@ -335,8 +370,10 @@ class SceneManager {
         const targetPos = new THREE.Vector3(responsive.distance * 1.2, 5, 0);
         
         if (animated) {
-            this.animateCameraTo(targetPos, responsive.target);
+            this.animateCameraTo(targetPos, responsive.target, 1);
         } else {
+            this.camera.zoom = 1;
+            this.camera.updateProjectionMatrix();
             this.camera.position.copy(targetPos);
             this.camera.lookAt(responsive.target);
             this.updateBaseCameraPositions();
@@ -344,15 +381,51 @@ class SceneManager {
     }
     
     /**
-     * Enhanced smooth camera animation system with mouse-responsive integration
+     * Switch to a named view ('isometric', 'top' or 'side') or projection preset
      */
-    animateCameraTo(targetPosition, targetLookAt) {
-        if (this.cameraTransition.isAnimating) return;
-        
+    setView(name, animated = true) {
+        switch (name) {
+            case 'isometric':
+                this.setIsometricView(animated);
+                break;
+            case 'top':
+                this.setTopView(animated);
+                break;
+            case 'side':
+                this.setSideView(animated);
+                break;
+            default:
+                if (SceneManager.PROJECTIONS[name]) {
+                    return this.setProjection(name, animated);
+                }
+                console.warn(`Unknown view '${name}', expected one of ${SceneManager.getViewNames().join(', ')}`);
+                return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Everything setView() accepts: the stock views plus the projection presets
+     */
+    static getViewNames() {
+        return SceneManager.VIEWS.concat(
+            Object.keys(SceneManager.PROJECTIONS).filter(name => !SceneManager.VIEWS.includes(name))
+        );
+    }
+    
+    /**
+     * Enhanced smooth camera animation system with mouse-responsive integration.
+     * A new target takes over from wherever a running transition has got to.
+     */
+    animateCameraTo(targetPosition, targetLookAt, targetZoom = this.camera.zoom) {
         this.cameraTransition.isAnimating = true;
         this.cameraTransition.startTime = performance.now();
         this.cameraTransition.startPosition.copy(this.camera.position);
         this.cameraTransition.targetPosition.copy(targetPosition);
+        this.cameraTransition.startZoom = this.camera.zoom;
+        this.cameraTransition.targetZoom = targetZoom;
+        this.cameraTransition.startShear.copy(this.projectionShear);
+        this.cameraTransition.targetShear.copy(this.getTargetShear());
         
         // Calculate current lookAt
         const currentLookAt = new THREE.Vector3();
@@ -385,7 +458,7 @@ class SceneManager {
         );
         
         // Interpolate lookAt target
-        const currentTarget = new THREE.Vector3().lerpVectors(
+        const currentTarget = this.cameraTransition.currentTarget.lerpVectors(
             this.cameraTransition.startTarget,
             this.cameraTransition.targetTarget,
             eased
@@ -393,10 +466,175 @@ class SceneManager {
         
         this.camera.lookAt(currentTarget);
         
+        this.projectionShear.lerpVectors(
+            this.cameraTransition.startShear,
+            this.cameraTransition.targetShear,
+            eased
+        );
+        
+        if (this.cameraTransition.startZoom !== this.cameraTransition.targetZoom) {
+            this.camera.zoom = this.cameraTransition.startZoom + 
+                (this.cameraTransition.targetZoom - this.cameraTransition.startZoom) * eased;
+            this.camera.updateProjectionMatrix();
+        }
+        
         // End animation and update base positions
         if (progress >= 1) {
             this.cameraTransition.isAnimating = false;
             this.updateBaseCameraPositions();
+            this.mouseCamera.baseTarget.copy(this.cameraTransition.targetTarget);
+        }
+    }
+    
+    /**
+     * Switch to an axonometric or oblique projection. Accepts a preset name from
+     * SceneManager.PROJECTIONS or a spec:
+     * - { axisAngles: [x, z] }: angles (degrees) the projected x and z axes make below the horizontal
+     * - { azimuth, elevation }: camera direction in degrees
+     * - { type: 'oblique', angle, depthScale }: front view with receding depth lines
+     * The camera keeps its distance and ground point, only the direction changes.
+     */
+    setProjection(projection, animated = true) {
+        const resolved = this.resolveProjection(projection);
+        if (!resolved) return false;
+        
+        const resting = this.getCameraState();
+        const pivot = this.getOrbitPivot();
+        const distance = Math.max(new THREE.Vector3().fromArray(resting.position).distanceTo(pivot), 1);
+        const position = new THREE.Vector3(
+            Math.cos(resolved.elevation) * Math.sin(resolved.azimuth),
+            Math.sin(resolved.elevation),
+            Math.cos(resolved.elevation) * Math.cos(resolved.azimuth)
+        ).multiplyScalar(distance).add(pivot);
+        
+        this.setCameraState({
+            position: position.toArray(),
+            target: pivot.toArray(),
+            zoom: resting.zoom,
+            projection
+        }, animated);
+        return true;
+    }
+    
+    /**
+     * The active projection spec, or null for the stock views
+     */
+    getProjection() {
+        return this.projection ? this.projection.spec : null;
+    }
+    
+    /**
+     * Turn a preset name or projection spec into { spec, type, azimuth, elevation, shear }
+     * (angles in radians), or null with a warning when it can't be realised
+     */
+    resolveProjection(projection) {
+        const spec = typeof projection === 'string' ? SceneManager.PROJECTIONS[projection] : projection;
+        if (!spec || typeof spec !== 'object') {
+            console.warn(`Unknown projection '${projection}', expected one of ${Object.keys(SceneManager.PROJECTIONS).join(', ')}`);
+            return null;
+        }
+        
+        const type = spec.type || 'axonometric';
+        const degToRad = THREE.MathUtils.degToRad;
+        
+        if (type === 'oblique') {
+            const angle = degToRad(spec.angle !== undefined ? spec.angle : 45);
+            const depthScale = spec.depthScale !== undefined ? spec.depthScale : 1;
+            return {
+                spec: projection,
+                type,
+                azimuth: degToRad(spec.azimuth || 0),
+                elevation: 0,
+                shear: new THREE.Vector2(Math.cos(angle), Math.sin(angle)).multiplyScalar(depthScale)
+            };
+        }
+        
+        if (type !== 'axonometric') {
+            console.warn(`Unknown projection type '${type}', expected 'axonometric' or 'oblique'`);
+            return null;
+        }
+        
+        if (spec.axisAngles) {
+            const [xAngle, zAngle] = spec.axisAngles;
+            if (!(xAngle > 0 && zAngle > 0 && xAngle + zAngle < 90)) {
+                console.warn('Projection axisAngles must be two positive angles adding up to less than 90°');
+                return null;
+            }
+            
+            // A camera at azimuth θ and elevation φ draws the x axis at atan(sin φ · tan θ)
+            // below the horizontal and the z axis at atan(sin φ / tan θ)
+            const tanX = Math.tan(degToRad(xAngle));
+            const tanZ = Math.tan(degToRad(zAngle));
+            return {
+                spec: projection,
+                type,
+                azimuth: Math.atan(Math.sqrt(tanX / tanZ)),
+                elevation: Math.asin(Math.sqrt(tanX * tanZ)),
+                shear: new THREE.Vector2()
+            };
+        }
+        
+        if (!Number.isFinite(spec.azimuth) || !Number.isFinite(spec.elevation) || Math.abs(spec.elevation) >= 90) {
+            console.warn('Projection needs axisAngles, or an azimuth and an elevation between -90° and 90°');
+            return null;
+        }
+        return {
+            spec: projection,
+            type,
+            azimuth: degToRad(spec.azimuth),
+            elevation: degToRad(spec.elevation),
+            shear: new THREE.Vector2()
+        };
+    }
+    
+    /**
+     * Drop the active projection when a stock view takes over; an animated view change
+     * eases the oblique shear out
+     */
+    resetProjection(animated = true) {
+        this.projection = null;
+        if (!animated) {
+            this.projectionShear.set(0, 0);
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
+    getTargetShear() {
+        return this.projection ? this.projection.shear : new THREE.Vector2();
+    }
+    
+    /**
+     * Shear view space so points behind the look-at target slide along the receding angle,
+     * which leaves the plane through the target facing the camera at true shape
+     */
+    applyObliqueShear() {
+        const shear = this.projectionShear;
+        if (shear.x === 0 && shear.y === 0) return;
+        
+        const target = this.cameraTransition.isAnimating
+            ? this.cameraTransition.currentTarget
+            : this.mouseCamera.baseTarget;
+        const depth = this.camera.position.distanceTo(target);
+        
+        this.camera.projectionMatrix.multiply(new THREE.Matrix4().set(
+            1, 0, -shear.x, -shear.x * depth,
+            0, 1, -shear.y, -shear.y * depth,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ));
+        this.camera.projectionMatrixInverse.copy(this.camera.projectionMatrix).invert();
+    }
+    
+    /**
+     * Point a raycaster through normalized device coordinates. Under an oblique shear the
+     * rays are slanted, so the direction comes from unprojecting the far plane.
+     */
+    setRaycasterFromPointer(raycaster, pointer) {
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        if (this.projectionShear.x !== 0 || this.projectionShear.y !== 0) {
+            const far = new THREE.Vector3(pointer.x, pointer.y, 1).unproject(this.camera);
+            raycaster.ray.direction.copy(far.sub(raycaster.ray.origin)).normalize();
         }
     }
     
@@ -436,7 +674,7 @@ class SceneManager {
         if (this.deviceInfo.hasTouch) {
             this.touchStartHandler = (event) => this.onTouchStart(event);
             this.touchMoveHandler = (event) => this.onTouchMove(event);
-            this.touchEndHandler = () => this.onTouchEnd();
+            this.touchEndHandler = (event) => this.onTouchEnd(event);
             
             this.container.addEventListener('touchstart', this.touchStartHandler, { passive: false });
             this.container.addEventListener('touchmove', this.touchMoveHandler, { passive: false });
@@ -448,6 +686,22 @@ class SceneManager {
             this.container.addEventListener('mousemove', this.mouseMoveHandler);
             this.container.addEventListener('mouseleave', this.mouseLeaveHandler);
         }
+        
+        // Orbit, pan and zoom; the handlers check options.cameraControls so it can change at runtime
+        this.wheelHandler = (event) => this.onWheel(event);
+        this.mouseDownHandler = (event) => this.onMouseDown(event);
+        this.mouseDragHandler = (event) => this.onMouseDrag(event);
+        this.mouseUpHandler = () => this.onMouseUp();
+        this.contextMenuHandler = (event) => {
+            const settings = this.getCameraControlSettings();
+            if (settings && settings.rotate) event.preventDefault();
+        };
+        
+        this.container.addEventListener('wheel', this.wheelHandler, { passive: false });
+        this.container.addEventListener('mousedown', this.mouseDownHandler);
+        this.container.addEventListener('contextmenu', this.contextMenuHandler);
+        window.addEventListener('mousemove', this.mouseDragHandler);
+        window.addEventListener('mouseup', this.mouseUpHandler);
     }
     
     onWindowResize() {
@@ -481,7 +735,20 @@ class SceneManager {
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         
         // Adjust camera position for new screen size
-        this.adjustCameraForDevice();
+        const fitBox = this.fitProvider ? this.fitProvider() : null;
+        if (fitBox) {
+            this.frameBox(fitBox, { animated: false });
+        } else {
+            this.adjustCameraForDevice();
+        }
+    }
+    
+    /**
+     * Supply the box to keep framed across resizes: fn() → THREE.Box3, or null to fall back
+     * to the responsive camera distance
+     */
+    setFitProvider(provider) {
+        this.fitProvider = provider;
     }
     
     onOrientationChange() {
@@ -503,11 +770,49 @@ class SceneManager {
                 y: touch.clientY,
                 time: Date.now()
             };
+        } else if (event.touches.length === 2) {
+            this.controlState.pinch = this.getPinchState(event.touches);
+            this.controlState.twisted = false;
         }
     }
     
     onTouchMove(event) {
         event.preventDefault();
+        const settings = this.getCameraControlSettings();
+        
+        // Two fingers: pinch to zoom, twist to rotate, move together to pan
+        if (settings && event.touches.length === 2 && this.controlState.pinch) {
+            const previous = this.controlState.pinch;
+            const pinch = this.getPinchState(event.touches);
+            
+            if (settings.zoom && previous.distance > 0) {
+                this.zoomAt(this.camera.zoom * pinch.distance / previous.distance, pinch.x, pinch.y);
+            }
+            if (settings.rotate) {
+                const twist = Math.atan2(Math.sin(pinch.angle - previous.angle), Math.cos(pinch.angle - previous.angle));
+                this.rotateBy(twist);
+                this.controlState.twisted = true;
+            }
+            if (settings.pan) {
+                this.panBy(pinch.x - previous.x, pinch.y - previous.y);
+            }
+            
+            this.controlState.pinch = pinch;
+            return;
+        }
+        
+        // One finger pans when controls are on, otherwise it nudges the camera parallax
+        if (settings && settings.pan && event.touches.length === 1 && this.lastTouchPosition) {
+            const touch = event.touches[0];
+            this.panBy(touch.clientX - this.lastTouchPosition.x, touch.clientY - this.lastTouchPosition.y);
+            this.lastTouchPosition = {
+                x: touch.clientX,
+                y: touch.clientY,
+                time: Date.now()
+            };
+            return;
+        }
+        
         if (event.touches.length === 1 && this.lastTouchPosition) {
             const touch = event.touches[0];
             const deltaX = touch.clientX - this.lastTouchPosition.x;
@@ -526,7 +831,25 @@ class SceneManager {
         }
     }
     
-    onTouchEnd() {
+    onTouchEnd(event) {
+        if (this.controlState.pinch) {
+            if (this.controlState.twisted) {
+                this.snapAzimuth();
+            }
+            this.controlState.pinch = null;
+        }
+        
+        // Lifting one of two fingers carries on as a one-finger drag from here
+        if (event && event.touches.length === 1) {
+            const touch = event.touches[0];
+            this.lastTouchPosition = {
+                x: touch.clientX,
+                y: touch.clientY,
+                time: Date.now()
+            };
+            return;
+        }
+        
         this.lastTouchPosition = null;
         // Reset camera to base position
         if (this.mouseCamera.isEnabled) {
@@ -534,6 +857,16 @@ class SceneManager {
         }
     }
     
+    getPinchState(touches) {
+        const [a, b] = [touches[0], touches[1]];
+        return {
+            x: (a.clientX + b.clientX) / 2,
+            y: (a.clientY + b.clientY) / 2,
+            distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+            angle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX)
+        };
+    }
+    
     handleTouchCameraMove(deltaX, deltaY) {
         if (!this.mouseCamera.isEnabled || this.cameraTransition.isAnimating) return;
         
@@ -578,7 +911,7 @@ class SceneManager {
      * Mouse-responsive camera control
      */
     onMouseMove(event) {
-        if (!this.mouseCamera.isEnabled || this.cameraTransition.isAnimating) return;
+        if (!this.mouseCamera.isEnabled || this.cameraTransition.isAnimating || this.controlState.drag) return;
         
         const rect = this.container.getBoundingClientRect();
         
@@ -606,6 +939,288 @@ class SceneManager {
         this.mouseCamera.targetOffset.set(0, 0, 0);
     }
     
+    /**
+     * Orbit/pan/zoom settings from options.cameraControls (true or a settings object), or null when off
+     */
+    getCameraControlSettings() {
+        const controls = this.options.cameraControls;
+        if (!controls) return null;
+        
+        return {
+            ...SceneManager.CAMERA_CONTROLS,
+            ...(controls === true ? {} : controls)
+        };
+    }
+    
+    setCameraControls(controls) {
+        this.options.cameraControls = controls;
+        this.controlState.drag = null;
+    }
+    
+    onWheel(event) {
+        const settings = this.getCameraControlSettings();
+        if (!settings || !settings.zoom) return;
+        
+        event.preventDefault();
+        this.zoomAt(this.camera.zoom * Math.exp(-event.deltaY * settings.zoomSpeed), event.clientX, event.clientY);
+    }
+    
+    /**
+     * Left drag pans, right or shift + left drag rotates. Mouse moves are tracked on the
+     * window so a drag keeps going outside the container.
+     */
+    onMouseDown(event) {
+        const settings = this.getCameraControlSettings();
+        this.controlState.suppressClick = false;
+        if (!settings) return;
+        
+        const rotate = event.button === 2 || (event.button === 0 && event.shiftKey);
+        if (rotate ? !settings.rotate : event.button !== 0 || !settings.pan) return;
+        
+        this.controlState.drag = rotate ? 'rotate' : 'pan';
+        this.controlState.pointer.set(event.clientX, event.clientY);
+        this.controlState.moved = 0;
+    }
+    
+    onMouseDrag(event) {
+        const state = this.controlState;
+        if (!state.drag) return;
+        
+        const deltaX = event.clientX - state.pointer.x;
+        const deltaY = event.clientY - state.pointer.y;
+        state.pointer.set(event.clientX, event.clientY);
+        state.moved += Math.abs(deltaX) + Math.abs(deltaY);
+        
+        // Small jitters during a click shouldn't move the camera
+        if (state.moved < SceneManager.DRAG_THRESHOLD) return;
+        
+        if (state.drag === 'pan') {
+            this.panBy(deltaX, deltaY);
+        } else {
+            this.rotateBy(-deltaX * this.getCameraControlSettings().rotateSpeed);
+        }
+    }
+    
+    onMouseUp() {
+        const state = this.controlState;
+        if (!state.drag) return;
+        
+        const dragged = state.moved >= SceneManager.DRAG_THRESHOLD;
+        if (dragged && state.drag === 'rotate') {
+            this.snapAzimuth();
+        }
+        state.suppressClick = dragged;
+        state.drag = null;
+    }
+    
+    /**
+     * True once for the click that ends a camera drag, so the drag doesn't also select
+     */
+    consumeDragClick() {
+        const suppress = this.controlState.suppressClick;
+        this.controlState.suppressClick = false;
+        return suppress;
+    }
+    
+    /**
+     * Set the zoom while keeping the world point under the given client position in place
+     */
+    zoomAt(zoom, clientX, clientY) {
+        const { minZoom, maxZoom } = this.getCameraControlSettings() || SceneManager.CAMERA_CONTROLS;
+        this.stopCameraAnimation();
+        
+        const rect = this.container.getBoundingClientRect();
+        const pointer = new THREE.Vector3(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+            0
+        );
+        
+        this.camera.updateMatrixWorld();
+        const before = pointer.clone().unproject(this.camera);
+        // A view framed below minZoom can zoom in from there, but not further out
+        this.camera.zoom = Math.max(Math.min(minZoom, this.camera.zoom), Math.min(maxZoom, zoom));
+        this.camera.updateProjectionMatrix();
+        const after = pointer.clone().unproject(this.camera);
+        
+        this.moveBaseCamera(before.sub(after));
+    }
+    
+    /**
+     * Slide the view by a screen-space distance in pixels
+     */
+    panBy(deltaX, deltaY) {
+        this.stopCameraAnimation();
+        this.camera.updateMatrixWorld();
+        
+        const worldPerPixel = LabelRenderer.getWorldPerPixel(this.camera, this.container.clientHeight);
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+        
+        this.moveBaseCamera(
+            right.multiplyScalar(-deltaX * worldPerPixel).add(up.multiplyScalar(deltaY * worldPerPixel))
+        );
+    }
+    
+    /**
+     * Orbit around the vertical axis through the view's ground point; elevation stays fixed.
+     * Respects the azimuthLimits setting ([min, max] in degrees).
+     */
+    rotateBy(angle) {
+        this.stopCameraAnimation();
+        
+        const settings = this.getCameraControlSettings() || SceneManager.CAMERA_CONTROLS;
+        if (settings.azimuthLimits) {
+            const current = this.getAzimuth();
+            const [min, max] = settings.azimuthLimits.map(THREE.MathUtils.degToRad);
+            angle = Math.max(min, Math.min(max, current + angle)) - current;
+        }
+        
+        const pivot = this.getOrbitPivot();
+        const axis = new THREE.Vector3(0, 1, 0);
+        this.mouseCamera.basePosition.sub(pivot).applyAxisAngle(axis, angle).add(pivot);
+        this.mouseCamera.baseTarget.sub(pivot).applyAxisAngle(axis, angle).add(pivot);
+        this.applyBaseCamera();
+    }
+    
+    /**
+     * Animate back to the nearest axonometric angle after a rotation. Near top-down views
+     * are left alone, they have no axonometric angle to return to.
+     */
+    snapAzimuth() {
+        const settings = this.getCameraControlSettings();
+        if (!settings || !settings.snap) return;
+        
+        const snapAngles = settings.snapAngles || this.getDefaultSnapAngles();
+        if (snapAngles.length === 0) return;
+        
+        const { basePosition, baseTarget } = this.mouseCamera;
+        const direction = baseTarget.clone().sub(basePosition).normalize();
+        if (Math.abs(direction.y) > 0.95) return;
+        
+        const current = this.getAzimuth();
+        let delta = Infinity;
+        snapAngles.forEach(degrees => {
+            const difference = THREE.MathUtils.degToRad(degrees) - current;
+            const wrapped = Math.atan2(Math.sin(difference), Math.cos(difference));
+            if (Math.abs(wrapped) < Math.abs(delta)) delta = wrapped;
+        });
+        if (Math.abs(delta) < 1e-4) return;
+        
+        const pivot = this.getOrbitPivot();
+        const position = basePosition.clone().sub(pivot).applyAxisAngle(new THREE.Vector3(0, 1, 0), delta).add(pivot);
+        this.animateCameraTo(position, pivot);
+    }
+    
+    /**
+     * Quarter turns around the active projection's azimuth, or the isometric corners
+     */
+    getDefaultSnapAngles() {
+        const base = this.projection ? THREE.MathUtils.radToDeg(this.projection.azimuth) : 45;
+        return [0, 90, 180, 270].map(turn => base + turn);
+    }
+    
+    /**
+     * Point the camera at a box's center along the current view direction and zoom so the
+     * box fills the view. padding > 1 leaves a margin; maxZoom keeps small boxes from
+     * filling the whole screen. The interactive minZoom doesn't apply, large boxes zoom out
+     * as far as they need to fit.
+     */
+    frameBox(box, options = {}) {
+        if (box.isEmpty()) return false;
+        
+        const limits = this.getCameraControlSettings() || SceneManager.CAMERA_CONTROLS;
+        const { padding = 1.15, animated = true, minZoom = 0, maxZoom = limits.maxZoom } = options;
+        
+        // View direction of the resting pose, which is where a running transition is heading
+        const resting = this.getCameraState();
+        const direction = new THREE.Vector3().fromArray(resting.target)
+            .sub(new THREE.Vector3().fromArray(resting.position))
+            .normalize();
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = box.getSize(new THREE.Vector3()).length() / 2;
+        
+        // Far enough back that the box can't reach behind the near plane
+        const distance = Math.max(this.responsiveSettings.cameraDistance, radius * 2);
+        const position = center.clone().sub(direction.clone().multiplyScalar(distance));
+        
+        // Box extents in view space, measured from the box center (sheared like an oblique view)
+        const view = new THREE.Matrix4().lookAt(position, center, this.camera.up);
+        const inverse = new THREE.Matrix4().copy(view).invert();
+        const shear = this.getTargetShear();
+        const extent = new THREE.Vector2();
+        [box.min, box.max].forEach(x => [box.min, box.max].forEach(y => [box.min, box.max].forEach(z => {
+            const corner = new THREE.Vector3(x.x, y.y, z.z).sub(center).applyMatrix4(inverse);
+            corner.x -= shear.x * corner.z;
+            corner.y -= shear.y * corner.z;
+            extent.set(Math.max(extent.x, Math.abs(corner.x)), Math.max(extent.y, Math.abs(corner.y)));
+        })));
+        
+        const frustumWidth = this.camera.right - this.camera.left;
+        const frustumHeight = this.camera.top - this.camera.bottom;
+        const zoom = Math.max(minZoom, Math.min(
+            maxZoom,
+            frustumWidth / (extent.x * 2 * padding || 1),
+            frustumHeight / (extent.y * 2 * padding || 1)
+        ));
+        
+        this.setCameraState({ position: position.toArray(), target: center.toArray(), zoom }, animated);
+        return true;
+    }
+    
+    /**
+     * Where the view direction meets the ground (y = 0), the point rotations turn around
+     */
+    getOrbitPivot() {
+        const resting = this.getCameraState();
+        const position = new THREE.Vector3().fromArray(resting.position);
+        const target = new THREE.Vector3().fromArray(resting.target);
+        const direction = target.clone().sub(position).normalize();
+        
+        if (Math.abs(direction.y) < 1e-6) {
+            return target;
+        }
+        return position.add(direction.multiplyScalar(-position.y / direction.y));
+    }
+    
+    /**
+     * Camera azimuth around the orbit pivot in radians (isometric is π/4)
+     */
+    getAzimuth() {
+        const offset = this.mouseCamera.basePosition.clone().sub(this.getOrbitPivot());
+        return Math.atan2(offset.x, offset.z);
+    }
+    
+    moveBaseCamera(offset) {
+        this.mouseCamera.basePosition.add(offset);
+        this.mouseCamera.baseTarget.add(offset);
+        this.applyBaseCamera();
+    }
+    
+    /**
+     * Put the camera at its resting pose right away (plus the current parallax offset)
+     */
+    applyBaseCamera() {
+        if (this.mouseCamera.isEnabled) {
+            this.updateMouseCamera();
+        } else {
+            this.camera.position.copy(this.mouseCamera.basePosition);
+            this.camera.lookAt(this.mouseCamera.baseTarget);
+        }
+        this.camera.updateMatrixWorld();
+    }
+    
+    /**
+     * Hand a running transition over to direct control, resting where it got to
+     */
+    stopCameraAnimation() {
+        if (!this.cameraTransition.isAnimating) return;
+        
+        this.cameraTransition.isAnimating = false;
+        this.mouseCamera.currentOffset.set(0, 0, 0);
+        this.updateBaseCameraPositions();
+    }
+    
     /**
      * Update mouse-responsive camera position
      */
@@ -639,9 +1254,76 @@ class SceneManager {
         this.mouseCamera.baseTarget.copy(this.camera.position).add(direction.multiplyScalar(10));
     }
     
+    /**
+     * Get the camera's resting position, look-at target, zoom (without mouse parallax) and projection
+     */
+    getCameraState() {
+        const position = this.cameraTransition.isAnimating
+            ? this.cameraTransition.targetPosition
+            : this.mouseCamera.basePosition;
+        const target = this.cameraTransition.isAnimating
+            ? this.cameraTransition.targetTarget
+            : this.mouseCamera.baseTarget;
+        
+        return {
+            position: position.toArray(),
+            target: target.toArray(),
+            zoom: this.cameraTransition.isAnimating ? this.cameraTransition.targetZoom : this.camera.zoom,
+            projection: this.getProjection()
+        };
+    }
+    
+    /**
+     * Restore a camera state produced by getCameraState(). A state without a projection
+     * key keeps the active projection; projection: null drops it.
+     */
+    setCameraState(state, animated = false) {
+        const position = new THREE.Vector3().fromArray(state.position);
+        const target = new THREE.Vector3().fromArray(state.target);
+        
+        if (state.projection !== undefined) {
+            this.projection = state.projection === null ? null : this.resolveProjection(state.projection);
+        }
+        
+        if (animated) {
+            this.animateCameraTo(position, target, state.zoom !== undefined ? state.zoom : this.camera.zoom);
+        } else {
+            this.cameraTransition.isAnimating = false;
+            this.mouseCamera.targetOffset.set(0, 0, 0);
+            this.mouseCamera.currentOffset.set(0, 0, 0);
+            this.camera.position.copy(position);
+            this.camera.lookAt(target);
+            this.updateBaseCameraPositions();
+            this.mouseCamera.baseTarget.copy(target);
+            
+            if (state.zoom !== undefined) {
+                this.camera.zoom = state.zoom;
+            }
+            this.projectionShear.copy(this.getTargetShear());
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
     render() {
+        this.updateCamera();
+        this.draw();
+    }
+    
+    /**
+     * Advance camera transitions and parallax for this frame. Anything placed from the
+     * camera (labels) should run after this and before draw().
+     */
+    updateCamera() {
         this.updateCameraAnimation();
         this.updateMouseCamera();
+        
+        // The oblique shear depends on the camera's distance to its target, which can change every frame
+        if (this.projectionShear.x !== 0 || this.projectionShear.y !== 0) {
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
+    draw() {
         this.renderer.render(this.scene, this.camera);
     }
     
@@ -687,6 +1369,12 @@ class SceneManager {
             this.container.removeEventListener('mouseleave', this.mouseLeaveHandler);
         }
         
+        this.container.removeEventListener('wheel', this.wheelHandler);
+        this.container.removeEventListener('mousedown', this.mouseDownHandler);
+        this.container.removeEventListener('contextmenu', this.contextMenuHandler);
+        window.removeEventListener('mousemove', this.mouseDragHandler);
+        window.removeEventListener('mouseup', this.mouseUpHandler);
+        
         if (this.groundPlane) {
             this.scene.remove(this.groundPlane);
             this.groundPlane.geometry.dispose();
@@ -700,20 +1388,250 @@ class SceneManager {
     }
 }
 
+SceneManager.VIEWS = ['isometric', 'top', 'side'];
+
 /**
- * Connection Point Calculator - Determines optimal connection points for different element types
+ * Named projections for setProjection(). Axonometric presets give the angles (degrees) the
+ * projected x and z axes make below the horizontal; isometric here is the true 30°/30° one,
+ * unlike the 'isometric' view which frames the demos from a slightly different corner.
  */
-class ConnectionPointCalculator {
-    static getConnectionPoint(element, targetElement, direction = 'center') {
-        const userData = element.userData;
-        
-        switch (userData.type) {
-            case 'platform':
-                return this.getPlatformConnectionPoint(element, targetElement, direction);
-            case 'component':
-                return this.getComponentConnectionPoint(element, targetElement, direction);
-            case 'node':
-                return this.getNodeConnectionPoint(element, targetElement, direction);
+SceneManager.PROJECTIONS = {
+    isometric: { axisAngles: [30, 30] },
+    dimetric: { axisAngles: [7.18, 41.41] },
+    trimetric: { axisAngles: [15, 40] },
+    cavalier: { type: 'oblique', angle: 45, depthScale: 1 },
+    cabinet: { type: 'oblique', angle: 45, depthScale: 0.5 }
+};
+
+/**
+ * Default orbit/pan/zoom settings, override them with options.cameraControls = { ... }.
+ * snapAngles are the azimuths (degrees) a rotation settles back to; null means quarter turns
+ * around the active projection's azimuth (the four isometric corners by default).
+ */
+SceneManager.CAMERA_CONTROLS = {
+    zoom: true,
+    pan: true,
+    rotate: true,
+    minZoom: 0.4,
+    maxZoom: 5,
+    zoomSpeed: 0.0015,
+    rotateSpeed: 0.006,
+    snap: true,
+    snapAngles: null,
+    azimuthLimits: null
+};
+
+// Pixels a pointer may move before a press counts as a drag instead of a click
+SceneManager.DRAG_THRESHOLD = 4;
+
+/**
+ * Shape Registry - Geometry factories for component shapes, keyed by the `shape` config field.
+ *
+ * A shape definition has:
+ * - createGeometry(size): returns a THREE.BufferGeometry centered on the origin (required)
+ * - getConnectionPoint(component, targetElement, size): world-space anchor on the surface facing
+ *   the target (optional, defaults to the closest bounding box face)
+ * - getBounds(size): { width, height, depth } of the shape (optional, defaults to the geometry bounding box)
+ */
+class ShapeRegistry {
+    static register(name, definition) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Shape name must be a non-empty string');
+        }
+        if (!definition || typeof definition.createGeometry !== 'function') {
+            throw new Error(`Shape "${name}" needs a createGeometry(size) function`);
+        }
+        ['getConnectionPoint', 'getBounds'].forEach(hook => {
+            if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+                throw new Error(`Shape "${name}": ${hook} must be a function`);
+            }
+        });
+        
+        if (this.shapes.has(name)) {
+            console.warn(`Replacing registered shape "${name}"`);
+        }
+        this.shapes.set(name, definition);
+    }
+    
+    static unregister(name) {
+        return this.shapes.delete(name);
+    }
+    
+    static get(name) {
+        return this.shapes.get(name) || null;
+    }
+    
+    static has(name) {
+        return this.shapes.has(name);
+    }
+    
+    static names() {
+        return Array.from(this.shapes.keys());
+    }
+    
+    /**
+     * Size of a shape at a given component size, without needing a mesh
+     */
+    static getShapeBounds(name, size) {
+        const shape = this.get(name) || this.get('cube');
+        if (shape.getBounds) {
+            return shape.getBounds(size);
+        }
+        
+        const geometry = shape.createGeometry(size);
+        geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        geometry.dispose();
+        return {
+            width: box.max.x - box.min.x,
+            height: box.max.y - box.min.y,
+            depth: box.max.z - box.min.z
+        };
+    }
+    
+    /**
+     * Local (unscaled) size of a component mesh, from its shape's getBounds hook if it has one
+     */
+    static getBounds(component) {
+        const shape = this.get(component.userData.shape);
+        if (shape && shape.getBounds) {
+            return shape.getBounds(component.userData.size || 1.5);
+        }
+        
+        component.geometry.computeBoundingBox();
+        const box = component.geometry.boundingBox;
+        return {
+            width: box.max.x - box.min.x,
+            height: box.max.y - box.min.y,
+            depth: box.max.z - box.min.z
+        };
+    }
+    
+    /**
+     * Rounded, beveled cube used for regular components
+     */
+    static createCubeGeometry(size) {
+        const shape = new THREE.Shape();
+        const halfSize = size / 2;
+        
+        const radius = 0.1;
+        shape.moveTo(-halfSize + radius, -halfSize);
+        shape.lineTo(halfSize - radius, -halfSize);
+        shape.quadraticCurveTo(halfSize, -halfSize, halfSize, -halfSize + radius);
+        shape.lineTo(halfSize, halfSize - radius);
+        shape.quadraticCurveTo(halfSize, halfSize, halfSize - radius, halfSize);
+        shape.lineTo(-halfSize + radius, halfSize);
+        shape.quadraticCurveTo(-halfSize, halfSize, -halfSize, halfSize - radius);
+        shape.lineTo(-halfSize, -halfSize + radius);
+        shape.quadraticCurveTo(-halfSize, -halfSize, -halfSize + radius, -halfSize);
+        
+        const extrudeSettings = {
+            depth: size,
+            bevelEnabled: true,
+            bevelSegments: 8,
+            steps: 1,
+            bevelSize: 0.08,
+            bevelThickness: 0.05
+        };
+        
+        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        
+        // Center the extruded geometry to ensure proper connection points
+        geometry.center();
+        return geometry;
+    }
+    
+    /**
+     * Flat-bottomed cloud silhouette: the outline of a few overlapping circles, extruded
+     */
+    static createCloudGeometry(size) {
+        const circles = [
+            { x: -0.22, y: -0.04, r: 0.26 },
+            { x: 0, y: 0.1, r: 0.3 },
+            { x: 0.24, y: -0.02, r: 0.26 }
+        ];
+        const floor = -0.25;
+        const segments = 48;
+        const shape = new THREE.Shape();
+        
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            
+            // Every circle contains the origin, so the union is star-shaped around it
+            let distance = 0;
+            circles.forEach(circle => {
+                const along = dx * circle.x + dy * circle.y;
+                const hit = along + Math.sqrt(along * along - (circle.x * circle.x + circle.y * circle.y) + circle.r * circle.r);
+                distance = Math.max(distance, hit);
+            });
+            
+            const x = dx * distance * size;
+            const y = Math.max(dy * distance, floor) * size;
+            
+            if (i === 0) {
+                shape.moveTo(x, y);
+            } else {
+                shape.lineTo(x, y);
+            }
+        }
+        
+        const geometry = new THREE.ExtrudeGeometry(shape, {
+            depth: size * 0.6,
+            bevelEnabled: true,
+            bevelSegments: 4,
+            steps: 1,
+            bevelSize: 0.05,
+            bevelThickness: 0.05
+        });
+        geometry.center();
+        return geometry;
+    }
+}
+
+ShapeRegistry.shapes = new Map([
+    ['cube', {
+        createGeometry: size => ShapeRegistry.createCubeGeometry(size)
+    }],
+    ['cylinder', {
+        createGeometry: size => new THREE.CylinderGeometry(size * 0.6, size * 0.6, size * 1.2, 16, 1),
+        getConnectionPoint: (component, target) => ConnectionPointCalculator.getCylinderConnectionPoint(component, target),
+        getBounds: size => ({ width: size * 1.2, height: size * 1.2, depth: size * 1.2 })
+    }],
+    ['sphere', {
+        createGeometry: size => new THREE.SphereGeometry(size * 0.6, 24, 16),
+        getConnectionPoint: (component, target) => ConnectionPointCalculator.getSphereConnectionPoint(component, target),
+        getBounds: size => ({ width: size * 1.2, height: size * 1.2, depth: size * 1.2 })
+    }],
+    ['queue', {
+        createGeometry: size => new THREE.CylinderGeometry(size * 0.4, size * 0.4, size * 1.4, 16, 1).rotateZ(Math.PI / 2),
+        getBounds: size => ({ width: size * 1.4, height: size * 0.8, depth: size * 0.8 })
+    }],
+    ['hexagon', {
+        createGeometry: size => new THREE.CylinderGeometry(size * 0.65, size * 0.65, size * 0.8, 6, 1),
+        getConnectionPoint: (component, target) => ConnectionPointCalculator.getCylinderConnectionPoint(component, target),
+        getBounds: size => ({ width: size * 1.3, height: size * 0.8, depth: size * 1.3 })
+    }],
+    ['cloud', {
+        createGeometry: size => ShapeRegistry.createCloudGeometry(size)
+    }]
+]);
+
+/**
+ * Connection Point Calculator - Determines optimal connection points for different element types
+ */
+class ConnectionPointCalculator {
+    static getConnectionPoint(element, targetElement, direction = 'center') {
+        const userData = element.userData;
+        
+        switch (userData.type) {
+            case 'platform':
+                return this.getPlatformConnectionPoint(element, targetElement, direction);
+            case 'component':
+                return this.getComponentConnectionPoint(element, targetElement, direction);
+            case 'node':
+                return this.getNodeConnectionPoint(element, targetElement, direction);
             default:
                 return this.getDefaultConnectionPoint(element, targetElement);
         }
@@ -750,95 +1668,51 @@ class ConnectionPointCalculator {
     }
     
     static getComponentConnectionPoint(component, targetElement, direction) {
-        const componentPos = component.position;
-        const targetPos = targetElement.position;
         const userData = component.userData;
+        const shape = ShapeRegistry.get(userData.shape);
         
-        // Handle database cylinder components
-        if (userData.isDatabaseComponent) {
-            return this.getCylinderConnectionPoint(component, targetElement);
-        }
-        
-        // FIXED: Better connection points for standalone cubes (no platform)
-        if (!userData.hasPlataform) {
-            // For standalone cubes, always connect to the geometric center faces
-            return this.getStandaloneCubeConnectionPoint(component, targetElement);
+        // Shapes anchor connections on their own surface when they provide a hook
+        if (shape && shape.getConnectionPoint) {
+            return shape.getConnectionPoint(component, targetElement, userData.size || 1.5);
         }
         
-        // Regular components with platform
-        const size = 1.5;
-        const halfSize = size / 2;
-        
-        const dx = targetPos.x - componentPos.x;
-        const dy = targetPos.y - componentPos.y;
-        const dz = targetPos.z - componentPos.z;
-        
-        const absX = Math.abs(dx);
-        const absY = Math.abs(dy);
-        const absZ = Math.abs(dz);
-        
-        let connectionPoint = componentPos.clone();
-        
-        if (absX >= absY && absX >= absZ) {
-            connectionPoint.x += dx > 0 ? halfSize : -halfSize;
-        } else if (absY >= absX && absY >= absZ) {
-            connectionPoint.y += dy > 0 ? halfSize : -halfSize;
-        } else {
-            connectionPoint.z += dz > 0 ? halfSize : -halfSize;
-        }
-        
-        return connectionPoint;
+        return this.getBoxConnectionPoint(component, targetElement);
     }
     
     /**
-     * FIXED: Connection points for standalone cubes (no platform)
-     * Ensures connections go to the exact geometric center of faces
+     * Connection points on the center of the box face closest to the target.
+     * Uses the shape's bounds (or the geometry bounding box, which accounts for beveled edges).
      */
-    static getStandaloneCubeConnectionPoint(cube, targetElement) {
-        const cubePos = cube.position;
+    static getBoxConnectionPoint(box, targetElement) {
+        const boxPos = box.position;
         const targetPos = targetElement.position;
         
-        // FIXED: Use the actual geometry bounding box for precise dimensions
-        cube.geometry.computeBoundingBox();
-        const boundingBox = cube.geometry.boundingBox;
-        
-        // Get actual dimensions from the geometry (accounts for beveled edges)
-        const actualWidth = boundingBox.max.x - boundingBox.min.x;
-        const actualHeight = boundingBox.max.y - boundingBox.min.y;
-        const actualDepth = boundingBox.max.z - boundingBox.min.z;
-        
-        const halfWidth = actualWidth / 2;
-        const halfHeight = actualHeight / 2;
-        const halfDepth = actualDepth / 2;
+        const bounds = ShapeRegistry.getBounds(box);
+        const halfWidth = bounds.width / 2;
+        const halfHeight = bounds.height / 2;
+        const halfDepth = bounds.depth / 2;
         
         // Calculate direction to target
-        const dx = targetPos.x - cubePos.x;
-        const dy = targetPos.y - cubePos.y;
-        const dz = targetPos.z - cubePos.z;
+        const dx = targetPos.x - boxPos.x;
+        const dy = targetPos.y - boxPos.y;
+        const dz = targetPos.z - boxPos.z;
         
         // Find the face that's closest to the target
         const absX = Math.abs(dx);
         const absY = Math.abs(dy);
         const absZ = Math.abs(dz);
         
-        let connectionPoint = cubePos.clone();
+        const connectionPoint = boxPos.clone();
         
-        // FIXED: Use actual geometry dimensions for precise face connections
         if (absX >= absY && absX >= absZ) {
-            // Connect to X face (left or right side) - exact center
+            // Connect to X face (left or right side)
             connectionPoint.x += dx > 0 ? halfWidth : -halfWidth;
-            connectionPoint.y = cubePos.y; // Exact center Y
-            connectionPoint.z = cubePos.z; // Exact center Z
         } else if (absY >= absX && absY >= absZ) {
-            // Connect to Y face (top or bottom) - exact center
+            // Connect to Y face (top or bottom)
             connectionPoint.y += dy > 0 ? halfHeight : -halfHeight;
-            connectionPoint.x = cubePos.x; // Exact center X
-            connectionPoint.z = cubePos.z; // Exact center Z
         } else {
-            // Connect to Z face (front or back) - exact center
+            // Connect to Z face (front or back)
             connectionPoint.z += dz > 0 ? halfDepth : -halfDepth;
-            connectionPoint.x = cubePos.x; // Exact center X
-            connectionPoint.y = cubePos.y; // Exact center Y
         }
         
         return connectionPoint;
@@ -848,8 +1722,9 @@ class ConnectionPointCalculator {
         const cylinderPos = cylinder.position;
         const targetPos = targetElement.position;
         
-        const radius = 0.9;
-        const height = 1.8;
+        const bounds = ShapeRegistry.getBounds(cylinder);
+        const radius = Math.min(bounds.width, bounds.depth) / 2;
+        const height = bounds.height;
         
         const dx = targetPos.x - cylinderPos.x;
         const dz = targetPos.z - cylinderPos.z;
@@ -874,6 +1749,18 @@ class ConnectionPointCalculator {
         return connectionPoint;
     }
     
+    static getSphereConnectionPoint(sphere, targetElement) {
+        const bounds = ShapeRegistry.getBounds(sphere);
+        const radius = Math.min(bounds.width, bounds.height, bounds.depth) / 2;
+        
+        const direction = new THREE.Vector3().subVectors(targetElement.position, sphere.position);
+        if (direction.lengthSq() === 0) {
+            return sphere.position.clone();
+        }
+        
+        return sphere.position.clone().add(direction.normalize().multiplyScalar(radius));
+    }
+    
     static getNodeConnectionPoint(node, targetElement, direction) {
         return node.position.clone();
     }
@@ -900,6 +1787,8 @@ class BezierCurveGenerator {
                 return this.createSmoothCurve(startPoint, endPoint, options);
             case 'sharp':
                 return this.createSharpCurve(startPoint, endPoint, options);
+            case 'orthogonal':
+                return this.createOrthogonalCurve(startPoint, endPoint, options);
             default: // 'architectural'
                 return this.createArchitecturalCurve(startPoint, endPoint, options);
         }
@@ -1004,6 +1893,412 @@ class BezierCurveGenerator {
             end.z + direction.z * (distance * 0.3) + perpendicular.z * horizontalOffset
         );
     }
+    
+    /**
+     * Axis-aligned route with rounded corners, returned as a THREE.CurvePath.
+     * The path leaves each endpoint along the face it sits on, climbs to a routing height
+     * above both endpoints and runs around every obstacle box that reaches that height.
+     *
+     * options.routing: { obstacles: THREE.Box3[], startDirection, endDirection }
+     */
+    static createOrthogonalCurve(startPoint, endPoint, options) {
+        const {
+            verticalOffset = 0.5,
+            cornerRadius = 0.4,
+            routingMargin = 0.4,
+            routing = {}
+        } = options;
+        
+        const height = Math.max(startPoint.y, endPoint.y) + verticalOffset;
+        const contains = (rect, point) => point.x > rect.minX && point.x < rect.maxX && 
+            point.z > rect.minZ && point.z < rect.maxZ;
+        const toRect = (box, margin) => ({
+            minX: box.min.x - margin,
+            maxX: box.max.x + margin,
+            minZ: box.min.z - margin,
+            maxZ: box.max.z + margin
+        });
+        
+        // Lower obstacles are flown over
+        const obstacles = (routing.obstacles || []).filter(box => box.max.y > height - routingMargin);
+        
+        // A stub that would land inside a tightly packed neighbour climbs straight up instead
+        const placeStub = (point, direction) => {
+            const stub = this.getStubPoint(point, direction, routingMargin);
+            return obstacles.some(box => contains(toRect(box, 0), stub)) ? point.clone() : stub;
+        };
+        const startStub = placeStub(startPoint, routing.startDirection);
+        const endStub = placeStub(endPoint, routing.endDirection);
+        
+        // Neighbours closer to an endpoint than the margin get half the gap instead
+        const gapTo = (box, point) => Math.max(
+            box.min.x - point.x, point.x - box.max.x,
+            box.min.z - point.z, point.z - box.max.z
+        );
+        const blocking = obstacles
+            .map(box => {
+                const gap = Math.min(gapTo(box, startStub), gapTo(box, endStub));
+                return toRect(box, Math.max(0, Math.min(routingMargin, gap / 2)));
+            })
+            .filter(rect => !contains(rect, startStub) && !contains(rect, endStub));
+        
+        const route = this.findOrthogonalRoute(startStub, endStub, blocking) || [
+            { x: startStub.x, z: startStub.z },
+            { x: endStub.x, z: startStub.z },
+            { x: endStub.x, z: endStub.z }
+        ];
+        
+        const points = [
+            startPoint,
+            startStub,
+            ...route.map(point => new THREE.Vector3(point.x, height, point.z)),
+            endStub,
+            endPoint
+        ];
+        
+        return this.createRoundedPath(this.simplifyPolyline(points), cornerRadius);
+    }
+    
+    /**
+     * Step out of a side face along its axis; top/bottom faces climb straight up
+     */
+    static getStubPoint(point, direction, length) {
+        if (!direction) return point.clone();
+        
+        const absX = Math.abs(direction.x);
+        const absZ = Math.abs(direction.z);
+        if (Math.abs(direction.y) >= Math.max(absX, absZ)) return point.clone();
+        
+        const stub = point.clone();
+        if (absX >= absZ) {
+            stub.x += Math.sign(direction.x) * length;
+        } else {
+            stub.z += Math.sign(direction.z) * length;
+        }
+        return stub;
+    }
+    
+    /**
+     * Shortest route with few bends on the grid formed by the obstacle edges (x/z plane).
+     * Returns the corner points, or null when the target can't be reached.
+     */
+    static findOrthogonalRoute(start, end, obstacles, bendPenalty = 1) {
+        const unique = values => Array.from(new Set(values.map(value => +value.toFixed(6)))).sort((a, b) => a - b);
+        const xs = unique([start.x, end.x, ...obstacles.flatMap(rect => [rect.minX, rect.maxX])]);
+        const zs = unique([start.z, end.z, ...obstacles.flatMap(rect => [rect.minZ, rect.maxZ])]);
+        
+        const epsilon = 1e-6;
+        const isFree = (x, z) => !obstacles.some(rect => 
+            x > rect.minX + epsilon && x < rect.maxX - epsilon && 
+            z > rect.minZ + epsilon && z < rect.maxZ - epsilon
+        );
+        
+        const startX = xs.indexOf(+start.x.toFixed(6));
+        const startZ = zs.indexOf(+start.z.toFixed(6));
+        const endX = xs.indexOf(+end.x.toFixed(6));
+        const endZ = zs.indexOf(+end.z.toFixed(6));
+        
+        const steps = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const stateKey = (ix, iz, dir) => (ix * zs.length + iz) * 5 + dir;
+        const costs = new Map();
+        const previous = new Map();
+        const heap = [];
+        
+        const push = (entry) => {
+            heap.push(entry);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent].cost <= heap[i].cost) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && heap[left].cost < heap[smallest].cost) smallest = left;
+                    if (right < heap.length && heap[right].cost < heap[smallest].cost) smallest = right;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+        
+        // Direction 4 means "not moved yet", so the first segment has no bend cost
+        const startKey = stateKey(startX, startZ, 4);
+        costs.set(startKey, 0);
+        push({ cost: 0, ix: startX, iz: startZ, dir: 4, key: startKey });
+        
+        let goal = null;
+        while (heap.length > 0) {
+            const current = pop();
+            if (current.cost > costs.get(current.key)) continue;
+            if (current.ix === endX && current.iz === endZ) {
+                goal = current;
+                break;
+            }
+            
+            steps.forEach(([stepX, stepZ], dir) => {
+                const ix = current.ix + stepX;
+                const iz = current.iz + stepZ;
+                if (ix < 0 || iz < 0 || ix >= xs.length || iz >= zs.length) return;
+                
+                const x = xs[ix];
+                const z = zs[iz];
+                const midX = (x + xs[current.ix]) / 2;
+                const midZ = (z + zs[current.iz]) / 2;
+                if (!isFree(x, z) || !isFree(midX, midZ)) return;
+                
+                const length = Math.abs(x - xs[current.ix]) + Math.abs(z - zs[current.iz]);
+                const bend = current.dir !== 4 && current.dir !== dir ? bendPenalty : 0;
+                const cost = current.cost + length + bend;
+                const key = stateKey(ix, iz, dir);
+                
+                if (!costs.has(key) || cost < costs.get(key)) {
+                    costs.set(key, cost);
+                    previous.set(key, current);
+                    push({ cost, ix, iz, dir, key });
+                }
+            });
+        }
+        
+        if (!goal) return null;
+        
+        const route = [];
+        for (let state = goal; state; state = previous.get(state.key)) {
+            route.unshift({ x: xs[state.ix], z: zs[state.iz] });
+        }
+        return route;
+    }
+    
+    /**
+     * Drop repeated and collinear points
+     */
+    static simplifyPolyline(points) {
+        const result = [];
+        points.forEach(point => {
+            if (result.length > 0 && result[result.length - 1].distanceTo(point) < 1e-6) return;
+            
+            if (result.length >= 2) {
+                const a = result[result.length - 2];
+                const b = result[result.length - 1];
+                const ab = new THREE.Vector3().subVectors(b, a).normalize();
+                const bc = new THREE.Vector3().subVectors(point, b).normalize();
+                if (ab.dot(bc) > 1 - 1e-6) {
+                    result[result.length - 1] = point.clone();
+                    return;
+                }
+            }
+            result.push(point.clone());
+        });
+        return result;
+    }
+    
+    /**
+     * Polyline → CurvePath of straight segments joined by quadratic corner arcs
+     */
+    static createRoundedPath(points, radius) {
+        const path = new THREE.CurvePath();
+        
+        if (points.length < 2) {
+            const point = points[0] || new THREE.Vector3();
+            path.add(new THREE.LineCurve3(point.clone(), point.clone()));
+            return path;
+        }
+        
+        let current = points[0].clone();
+        for (let i = 1; i < points.length - 1; i++) {
+            const previousPoint = points[i - 1];
+            const corner = points[i];
+            const nextPoint = points[i + 1];
+            const cornerSize = Math.min(radius, corner.distanceTo(previousPoint) / 2, corner.distanceTo(nextPoint) / 2);
+            
+            const entry = corner.clone().add(new THREE.Vector3().subVectors(previousPoint, corner).normalize().multiplyScalar(cornerSize));
+            const exit = corner.clone().add(new THREE.Vector3().subVectors(nextPoint, corner).normalize().multiplyScalar(cornerSize));
+            
+            if (current.distanceTo(entry) > 1e-6) {
+                path.add(new THREE.LineCurve3(current, entry));
+            }
+            path.add(new THREE.QuadraticBezierCurve3(entry, corner.clone(), exit));
+            current = exit;
+        }
+        path.add(new THREE.LineCurve3(current, points[points.length - 1].clone()));
+        
+        return path;
+    }
+    
+    /**
+     * Average path of a bundle: members sampled at equal arc length, reversed members
+     * sampled back to front so every sample lines up with the bundle's direction
+     */
+    static createBundleSpine(members, samples) {
+        const spine = [];
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const point = new THREE.Vector3();
+            members.forEach(member => {
+                point.add(member.connection.baseCurve.getPointAt(member.reversed ? 1 - t : t));
+            });
+            spine.push(point.divideScalar(members.length));
+        }
+        return spine;
+    }
+    
+    /**
+     * Pull a curve onto a bundle spine. The pull eases in over the first and last
+     * `fanOut` fraction of the curve, so bundled connections share a trunk in the middle
+     * and fan out to their own endpoints.
+     */
+    static createBundledCurve(curve, spine, options = {}) {
+        const { strength = 0.85, fanOut = 0.25, reversed = false } = options;
+        const samples = spine.length - 1;
+        const points = [];
+        
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const pull = Math.min(1, Math.min(t, 1 - t) / Math.max(fanOut, 1e-6));
+            const eased = pull * pull * (3 - 2 * pull);
+            const spinePoint = spine[reversed ? samples - i : i];
+            points.push(curve.getPointAt(t).lerp(spinePoint, eased * strength));
+        }
+        
+        return new THREE.CatmullRomCurve3(points);
+    }
+}
+
+/**
+ * Label Renderer - Camera-facing text sprites that keep a constant on-screen size
+ * under the orthographic camera and are laid out to avoid overlapping each other
+ */
+class LabelRenderer {
+    /**
+     * Draw text onto a canvas texture and wrap it in a sprite.
+     * style: { color, background, fontSize (px), padding (px) }
+     */
+    static createSprite(text, style = {}) {
+        const {
+            color = '#1e293b',
+            background = 'rgba(255, 255, 255, 0.85)',
+            fontSize = 12,
+            padding = 4
+        } = style;
+        
+        const pixelRatio = 2;
+        const font = `600 ${fontSize * pixelRatio}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        
+        context.font = font;
+        const width = Math.ceil(context.measureText(text).width / pixelRatio) + padding * 2;
+        const height = fontSize + padding * 2;
+        canvas.width = width * pixelRatio;
+        canvas.height = height * pixelRatio;
+        
+        // Resizing the canvas resets its state
+        context.font = font;
+        context.fillStyle = this.toCssColor(background);
+        this.fillRoundedRect(context, 0, 0, canvas.width, canvas.height, 4 * pixelRatio);
+        context.fillStyle = this.toCssColor(color);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        const sprite = new THREE.Sprite(material);
+        sprite.renderOrder = 10;
+        sprite.userData = { type: 'label', text, pixelWidth: width, pixelHeight: height, candidates: [] };
+        return sprite;
+    }
+    
+    static toCssColor(color) {
+        return typeof color === 'number' ? new THREE.Color(color).getStyle() : color;
+    }
+    
+    static fillRoundedRect(context, x, y, width, height, radius) {
+        context.beginPath();
+        context.moveTo(x + radius, y);
+        context.arcTo(x + width, y, x + width, y + height, radius);
+        context.arcTo(x + width, y + height, x, y + height, radius);
+        context.arcTo(x, y + height, x, y, radius);
+        context.arcTo(x, y, x + width, y, radius);
+        context.closePath();
+        context.fill();
+    }
+    
+    /**
+     * World units covered by one screen pixel under the orthographic camera's current zoom
+     */
+    static getWorldPerPixel(camera, viewportHeight) {
+        return (camera.top - camera.bottom) / camera.zoom / viewportHeight;
+    }
+    
+    /**
+     * Dispose a label's texture and material (sprites share one geometry, which is kept)
+     */
+    static disposeSprite(sprite) {
+        if (sprite.material.map) sprite.material.map.dispose();
+        sprite.material.dispose();
+    }
+    
+    /**
+     * Size labels to their pixel dimensions and place each at the first of its candidate
+     * positions whose screen rectangle is free. Labels come in priority order; ones that
+     * fit nowhere are hidden until the view changes.
+     */
+    static layout(sprites, camera, viewportWidth, viewportHeight, margin = 2) {
+        const worldPerPixel = this.getWorldPerPixel(camera, viewportHeight);
+        const placed = [];
+        
+        // Layout runs before render, so bring the view matrix up to date first
+        camera.updateMatrixWorld();
+        const projected = new THREE.Vector3();
+        
+        sprites.forEach(sprite => {
+            const { pixelWidth, pixelHeight, candidates } = sprite.userData;
+            sprite.scale.set(pixelWidth * worldPerPixel, pixelHeight * worldPerPixel, 1);
+            
+            const slot = candidates.find(candidate => {
+                projected.copy(candidate).project(camera);
+                const rect = {
+                    left: (projected.x + 1) / 2 * viewportWidth - pixelWidth / 2 - margin,
+                    top: (1 - projected.y) / 2 * viewportHeight - pixelHeight / 2 - margin,
+                    width: pixelWidth + margin * 2,
+                    height: pixelHeight + margin * 2
+                };
+                
+                const overlaps = placed.some(other => 
+                    rect.left < other.left + other.width && other.left < rect.left + rect.width &&
+                    rect.top < other.top + other.height && other.top < rect.top + rect.height
+                );
+                if (overlaps) return false;
+                
+                placed.push(rect);
+                return true;
+            });
+            
+            sprite.visible = Boolean(slot);
+            if (slot) sprite.position.copy(slot);
+        });
+    }
 }
 
 /**
@@ -1023,6 +2318,7 @@ class ConnectionManager {
             lineWidth: 4,
             tubeRadius: 0.08,
             useTubeGeometry: true,
+            edgeBundling: false,
             ...options
         };
         
@@ -1036,7 +2332,13 @@ class ConnectionManager {
         
         this.curves = [];
         this.animationParticles = [];
+        this.scriptedPaths = [];
         this.connections = [];
+        
+        // Edge bundling state
+        this.bundles = [];
+        this.bundlesDirty = false;
+        this.bundleFocus = null;
     }
     
     /**
@@ -1102,37 +2404,93 @@ class ConnectionManager {
         return settings;
     }
     
-    addConnection(fromElement, toElement, options = {}) {
-        const fromPoint = ConnectionPointCalculator.getConnectionPoint(fromElement, toElement, 'output');
-        const toPoint = ConnectionPointCalculator.getConnectionPoint(toElement, fromElement, 'input');
-        
-        const curveOptions = { ...this.options, ...options };
-        const curve = BezierCurveGenerator.createCurve(fromPoint, toPoint, curveOptions);
+    addConnection(fromElement, toElement, options = {}, connectionId) {
+        const curveOptions = { ...this.options, ...this.getKindPreset(options.kind), ...options };
+        const curve = this.createConnectionCurve(fromElement, toElement, curveOptions);
         
         const connection = {
-            id: this.generateConnectionId(),
+            id: connectionId !== undefined ? String(connectionId) : this.generateConnectionId(),
+            explicitId: connectionId !== undefined,
             fromElement,
             toElement,
             curve,
-            options: curveOptions
+            baseCurve: curve,
+            bundle: null,
+            metrics: { ...(curveOptions.metrics || {}) },
+            options: curveOptions,
+            userOptions: { ...options }
         };
         
+        this.checkBindings(curveOptions.bindings);
+        const bound = this.getBoundValues(connection);
+        if (bound.tubeRadius !== undefined) {
+            curveOptions.tubeRadius = bound.tubeRadius;
+        }
+        
         this.curves.push(curve);
         this.connections.push(connection);
         
         this.createCurveVisual(curve, curveOptions, connection.id);
         
         if (curveOptions.showArrows === true) {
-            this.createArrow(curve, curveOptions, connection.id);
+            this.createArrows(curve, curveOptions, connection.id);
+        }
+        
+        if (curveOptions.label !== undefined && curveOptions.label !== '') {
+            this.createLabel(curve, curveOptions, connection.id);
         }
         
         if (this.options.animationEnabled) {
-            this.createAnimationParticle(curve, connection.id);
+            this.createConnectionParticles(connection);
         }
         
+        this.invalidateBundles();
+        
         return connection.id;
     }
     
+    /**
+     * Supply the boxes orthogonal routes must avoid: fn(fromElement, toElement) → THREE.Box3[]
+     */
+    setObstacleProvider(provider) {
+        this.obstacleProvider = provider;
+    }
+    
+    /**
+     * Build the curve between two elements' connection points. Orthogonal routes also
+     * receive the obstacles around them and the directions their endpoints face.
+     */
+    createConnectionCurve(fromElement, toElement, options) {
+        const fromPoint = ConnectionPointCalculator.getConnectionPoint(fromElement, toElement, 'output');
+        const toPoint = ConnectionPointCalculator.getConnectionPoint(toElement, fromElement, 'input');
+        
+        if (options.curveType !== 'orthogonal') {
+            return BezierCurveGenerator.createCurve(fromPoint, toPoint, options);
+        }
+        
+        const routing = {
+            obstacles: this.obstacleProvider ? this.obstacleProvider(fromElement, toElement) : [],
+            startDirection: fromPoint.clone().sub(fromElement.position),
+            endDirection: toPoint.clone().sub(toElement.position)
+        };
+        return BezierCurveGenerator.createCurve(fromPoint, toPoint, { ...options, routing });
+    }
+    
+    /**
+     * Visual defaults for a connection kind (sync, async, event, replication).
+     * Explicit connection options still win over the preset.
+     */
+    getKindPreset(kind) {
+        if (kind === undefined) return {};
+        
+        const preset = ConnectionManager.KIND_PRESETS[kind];
+        if (!preset) {
+            console.warn(`Unknown connection kind '${kind}', expected one of ${Object.keys(ConnectionManager.KIND_PRESETS).join(', ')}`);
+            return {};
+        }
+        return preset;
+    }
+    
     generateConnectionId() {
         return `connection_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -1143,16 +2501,23 @@ class ConnectionManager {
             opacity = this.options.defaultOpacity,
             segments = 64,
             dashed = false,
+            dashPattern,
             dashSize = 0.5,
             gapSize = 0.2,
+            dashScroll = false,
+            direction = 'forward',
             useTubeGeometry = this.options.useTubeGeometry,
             tubeRadius = this.options.tubeRadius
         } = options;
         
+        const isDashed = dashed || dashPattern !== undefined;
+        const dashRuns = isDashed ? ConnectionManager.getDashRuns({ dashPattern, dashSize, gapSize, tubeRadius }) : null;
+        const dashPeriod = isDashed ? dashRuns.reduce((sum, run) => sum + run, 0) : null;
+        
         let geometry, material, line;
         
         if (useTubeGeometry) {
-            geometry = new THREE.TubeGeometry(curve, segments, tubeRadius, 8, false);
+            geometry = new THREE.TubeGeometry(curve, this.getTubeSegments(curve, segments), tubeRadius, 8, false);
             material = new THREE.MeshLambertMaterial({
                 color: color,
                 opacity: opacity,
@@ -1162,6 +2527,12 @@ class ConnectionManager {
             line = new THREE.Mesh(geometry, material);
             line.castShadow = true;
             line.receiveShadow = true;
+            
+            if (isDashed) {
+                material.alphaMap = ConnectionManager.createDashTexture(dashRuns);
+                material.alphaTest = 0.5;
+                this.updateDashRepeat(material, curve, dashPeriod);
+            }
         } else {
             const points = curve.getPoints(segments);
             geometry = new THREE.BufferGeometry().setFromPoints(points);
@@ -1173,36 +2544,114 @@ class ConnectionManager {
                 linewidth: this.options.lineWidth
             };
             
-            if (dashed) {
-                materialOptions.dashSize = dashSize;
-                materialOptions.gapSize = gapSize;
+            // Line dashes only have one dash length, so dash-dot falls back to plain dashes
+            if (isDashed) {
+                materialOptions.dashSize = dashRuns[0];
+                materialOptions.gapSize = dashRuns[1];
             }
             
-            material = dashed 
+            material = isDashed 
                 ? new THREE.LineDashedMaterial(materialOptions)
                 : new THREE.LineBasicMaterial(materialOptions);
             
             line = new THREE.Line(geometry, material);
             
-            if (dashed) {
+            if (isDashed) {
                 line.computeLineDistances();
             }
         }
         
-        line.userData = { connectionId, type: 'curve' };
+        // Scrolling dashes travel with the flow
+        const scrollSpeed = dashScroll === true ? 1 : (dashScroll || 0);
+        const scrollSign = direction === 'backward' ? -1 : (direction === 'none' ? 0 : 1);
+        
+        line.userData = {
+            connectionId,
+            type: 'curve',
+            dashPeriod,
+            dashScroll: isDashed ? scrollSpeed * scrollSign : 0
+        };
         this.connectionGroup.add(line);
     }
     
-    createArrow(curve, options = {}, connectionId) {
-        const {
-            arrowColor = this.options.arrowColor,
+    /**
+     * On/off run lengths (world units) of a dash pattern: dashes use dashSize, dots are
+     * as long as the tube is wide, gaps use gapSize
+     */
+    static getDashRuns({ dashPattern = 'dashed', dashSize = 0.5, gapSize = 0.2, tubeRadius = 0.08 }) {
+        const dotSize = Math.max(tubeRadius * 2, 0.05);
+        
+        switch (dashPattern) {
+            case 'dotted':
+                return [dotSize, gapSize];
+            case 'dash-dot':
+                return [dashSize, gapSize, dotSize, gapSize];
+            default: // 'dashed'
+                return [dashSize, gapSize];
+        }
+    }
+    
+    /**
+     * One period of a dash pattern as a 1px-high alpha texture; tube UVs run along the
+     * curve by arc length, so repeating it length/period times spaces dashes evenly
+     */
+    static createDashTexture(runs, resolution = 128) {
+        const period = runs.reduce((sum, run) => sum + run, 0);
+        const data = new Uint8Array(resolution * 4);
+        
+        for (let i = 0; i < resolution; i++) {
+            // Even runs are dashes, odd runs are gaps
+            let position = (i + 0.5) / resolution * period;
+            let run = 0;
+            while (run < runs.length - 1 && position >= runs[run]) {
+                position -= runs[run];
+                run++;
+            }
+            const value = run % 2 === 0 ? 255 : 0;
+            data.set([value, value, value, 255], i * 4);
+        }
+        
+        const texture = new THREE.DataTexture(data, resolution, 1, THREE.RGBAFormat);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+    
+    updateDashRepeat(material, curve, period) {
+        material.alphaMap.repeat.set(Math.max(1, curve.getLength() / period), 1);
+    }
+    
+    /**
+     * Routed paths need more tube segments so their rounded corners stay smooth
+     */
+    getTubeSegments(curve, segments) {
+        return curve.curves ? Math.max(segments, curve.curves.length * 16) : segments;
+    }
+    
+    /**
+     * Arrowheads for the connection's direction: at the to-end for 'forward', the
+     * from-end for 'backward', both ends for 'both' and none for 'none'
+     */
+    createArrows(curve, options = {}, connectionId) {
+        const { direction = 'forward', arrowPosition = 0.95 } = options;
+        
+        if (direction === 'forward' || direction === 'both') {
+            this.createArrow(curve, options, connectionId);
+        }
+        if (direction === 'backward' || direction === 'both') {
+            this.createArrow(curve, { ...options, arrowPosition: 1 - arrowPosition }, connectionId, true);
+        }
+    }
+    
+    createArrow(curve, options = {}, connectionId, reverse = false) {
+        const {
+            arrowColor = this.options.arrowColor,
             arrowSize = 0.4,
             arrowPosition = 0.95
         } = options;
         
-        const arrowPoint = curve.getPointAt(arrowPosition);
-        const previousPoint = curve.getPointAt(Math.max(arrowPosition - 0.05, 0));
-        
         const arrowGeometry = new THREE.ConeGeometry(
             arrowSize * 0.6,
             arrowSize * 1.2,
@@ -1215,18 +2664,222 @@ class ConnectionManager {
         });
         
         const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
+        this.orientArrow(arrow, curve, arrowPosition, reverse);
+        arrow.castShadow = true;
+        
+        arrow.userData = { connectionId, type: 'arrow', arrowPosition, reverse };
+        this.connectionGroup.add(arrow);
+    }
+    
+    /**
+     * Place an arrow cone on the curve at t, pointing along the curve (back toward t=0 when reversed)
+     */
+    orientArrow(arrow, curve, arrowPosition, reverse = false) {
+        const arrowPoint = curve.getPointAt(arrowPosition);
+        const previousPoint = reverse
+            ? curve.getPointAt(Math.min(arrowPosition + 0.05, 1))
+            : curve.getPointAt(Math.max(arrowPosition - 0.05, 0));
+        
         arrow.position.copy(arrowPoint);
+        arrow.rotation.set(0, 0, 0);
         
         const direction = new THREE.Vector3().subVectors(arrowPoint, previousPoint).normalize();
         arrow.lookAt(arrowPoint.clone().add(direction));
         arrow.rotateX(Math.PI / 2);
-        arrow.castShadow = true;
+    }
+    
+    /**
+     * Camera-facing text on the curve at labelPosition (0-1, midpoint by default)
+     */
+    createLabel(curve, options = {}, connectionId) {
+        const {
+            label,
+            labelPosition = 0.5,
+            labelColor,
+            labelBackground,
+            labelFontSize
+        } = options;
         
-        arrow.userData = { connectionId, type: 'arrow' };
-        this.connectionGroup.add(arrow);
+        const sprite = LabelRenderer.createSprite(String(label), {
+            color: labelColor,
+            background: labelBackground,
+            fontSize: labelFontSize
+        });
+        sprite.userData.connectionId = connectionId;
+        sprite.userData.labelPosition = labelPosition;
+        this.placeLabel(sprite, curve);
+        
+        this.connectionGroup.add(sprite);
+    }
+    
+    /**
+     * Candidate spots for a label: its preferred t first, then nearby points along the
+     * curve it can slide to when another label is in the way
+     */
+    placeLabel(sprite, curve) {
+        const t = sprite.userData.labelPosition;
+        const lift = new THREE.Vector3(0, 0.3, 0);
+        
+        sprite.userData.candidates = [0, 0.12, -0.12, 0.24, -0.24]
+            .map(offset => t + offset)
+            .filter(value => value >= 0.05 && value <= 0.95 || value === t)
+            .map(value => curve.getPointAt(Math.min(Math.max(value, 0), 1)).add(lift));
+        sprite.position.copy(sprite.userData.candidates[0]);
+    }
+    
+    /**
+     * All connection label sprites, in connection order
+     */
+    getLabels() {
+        return this.connectionGroup.children.filter(child => child.userData.type === 'label');
+    }
+    
+    /**
+     * Flow particles for the connection's direction and bound metrics
+     */
+    createConnectionParticles(connection) {
+        this.syncConnectionParticles(connection);
+    }
+    
+    /**
+     * Add or remove particles so each travel direction carries `particleCount` of them
+     * (1 unless bound to a metric), spread evenly along the curve, at the bound speed
+     */
+    syncConnectionParticles(connection) {
+        const { direction = 'forward' } = connection.options;
+        const { particleCount = 1, particleSpeed } = this.getBoundValues(connection);
+        const count = Math.max(0, Math.round(particleCount));
+        
+        [false, true].forEach(reverse => {
+            const travels = reverse
+                ? direction === 'backward' || direction === 'both'
+                : direction === 'forward' || direction === 'both';
+            const target = travels ? count : 0;
+            
+            const particles = this.animationParticles.filter(particle => 
+                particle.userData.connectionId === connection.id && particle.userData.reverse === reverse
+            );
+            particles.slice(target).forEach(particle => this.removeAnimationParticle(particle));
+            
+            const kept = particles.slice(0, target);
+            for (let i = kept.length; i < target; i++) {
+                kept.push(this.createAnimationParticle(connection.curve, connection.id, reverse));
+            }
+            
+            if (target > 1 && target !== particles.length) {
+                const start = kept[0].userData.progress;
+                kept.forEach((particle, index) => {
+                    particle.userData.progress = (start + index / target) % 1;
+                });
+            }
+            if (particleSpeed !== undefined) {
+                kept.forEach(particle => { particle.userData.speed = particleSpeed; });
+            }
+        });
+    }
+    
+    removeAnimationParticle(particle) {
+        this.animationGroup.remove(particle);
+        this.animationParticles.splice(this.animationParticles.indexOf(particle), 1);
+        particle.geometry.dispose();
+        particle.material.dispose();
+        particle.userData.trail.geometry.dispose();
+        particle.userData.trail.material.dispose();
+    }
+    
+    /**
+     * Property values driven by the connection's metrics through its `bindings` option, e.g.
+     * bindings: { tubeRadius: { metric: 'throughput', scale: 'log', min: 1, max: 10000, range: [0.04, 0.2] } }
+     * max is required: it is the metric value that maps to the top of the range.
+     */
+    getBoundValues(connection) {
+        const bindings = connection.options.bindings || {};
+        const values = {};
+        
+        Object.entries(bindings).forEach(([property, binding]) => {
+            const defaults = ConnectionManager.METRIC_BINDINGS[property];
+            if (!defaults || !binding || typeof binding.max !== 'number') return;
+            
+            const value = connection.metrics[binding.metric];
+            if (typeof value !== 'number' || !Number.isFinite(value)) return;
+            
+            values[property] = ConnectionManager.scaleMetric(value, binding, defaults.range);
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Map a metric value from [min, max] onto the binding's output range, linearly or on a
+     * log scale. Values outside the domain are clamped.
+     */
+    static scaleMetric(value, binding, defaultRange) {
+        const { scale = 'linear', range = defaultRange } = binding;
+        const min = binding.min !== undefined ? binding.min : ConnectionManager.getDefaultMetricMin(scale);
+        const max = binding.max;
+        
+        const transform = scale === 'log' ? (v => Math.log(Math.max(v, 1e-9))) : (v => v);
+        const clamped = Math.min(Math.max(value, min), max);
+        const span = transform(max) - transform(min);
+        const ratio = span > 0 ? (transform(clamped) - transform(min)) / span : 0;
+        
+        return range[0] + (range[1] - range[0]) * ratio;
+    }
+    
+    static getDefaultMetricMin(scale) {
+        return scale === 'log' ? 1 : 0;
+    }
+    
+    /**
+     * Bindings without a max can't scale their metric, warn about them once when the connection is added
+     */
+    checkBindings(bindings) {
+        Object.entries(bindings || {}).forEach(([property, binding]) => {
+            if (binding && typeof binding.max !== 'number') {
+                console.warn(`Connection binding '${property}' has no max for metric '${binding.metric}' and is ignored`);
+            }
+        });
+    }
+    
+    /**
+     * Tint a connection's curve; null restores its configured color
+     */
+    setConnectionColor(connectionId, color) {
+        const connection = this.connections.find(conn => conn.id === connectionId);
+        if (!connection) return false;
+        
+        const baseColor = connection.options.color !== undefined ? connection.options.color : this.options.defaultColor;
+        this.connectionGroup.children
+            .filter(child => child.userData.connectionId === connectionId && child.userData.type === 'curve')
+            .forEach(child => child.material.color.set(color === null ? baseColor : color));
+        return true;
+    }
+    
+    /**
+     * Update a connection's metric values and re-apply everything bound to them
+     */
+    setConnectionMetrics(connectionId, metrics) {
+        const connection = this.connections.find(conn => conn.id === connectionId);
+        if (!connection) return false;
+        
+        connection.metrics = { ...connection.metrics, ...metrics };
+        connection.userOptions.metrics = { ...connection.metrics };
+        
+        // Interpolated metrics change every frame; only a visible radius change is worth a new TubeGeometry
+        const bound = this.getBoundValues(connection);
+        const radius = connection.options.tubeRadius !== undefined ? connection.options.tubeRadius : this.options.tubeRadius;
+        if (bound.tubeRadius !== undefined && Math.abs(bound.tubeRadius - radius) > radius * ConnectionManager.RADIUS_REBUILD_TOLERANCE) {
+            connection.options.tubeRadius = bound.tubeRadius;
+            this.setConnectionCurve(connection, connection.curve);
+        }
+        
+        if (this.options.animationEnabled) {
+            this.syncConnectionParticles(connection);
+        }
+        return true;
     }
     
-    createAnimationParticle(curve, connectionId) {
+    createAnimationParticle(curve, connectionId, reverse = false) {
         // Enhanced particle with directional indicators
         const particleGeometry = new THREE.SphereGeometry(0.15, 12, 12); // Larger, smoother particles
         const particleMaterial = new THREE.MeshPhongMaterial({
@@ -1258,21 +2911,46 @@ class ConnectionManager {
             progress: Math.random(),
             speed: 0.008 + Math.random() * 0.012, // Slightly slower for better visibility
             type: 'particle',
-            trail: trail
+            trail: trail,
+            reverse
         };
         
         this.animationParticles.push(particle);
         this.animationGroup.add(particle);
+        return particle;
     }
     
     removeConnection(connectionId) {
+        this.removeConnectionVisuals(connectionId);
+        
+        const index = this.connections.findIndex(conn => conn.id === connectionId);
+        if (index !== -1) {
+            this.connections.splice(index, 1);
+            this.curves.splice(index, 1);
+            this.invalidateBundles();
+        }
+    }
+    
+    /**
+     * Remove and dispose the curve, arrow and particle meshes of a connection
+     */
+    removeConnectionVisuals(connectionId) {
         const elementsToRemove = [];
         this.connectionGroup.traverse((child) => {
             if (child.userData.connectionId === connectionId) {
                 elementsToRemove.push(child);
             }
         });
-        elementsToRemove.forEach(element => this.connectionGroup.remove(element));
+        elementsToRemove.forEach(element => {
+            this.connectionGroup.remove(element);
+            if (element.isSprite) {
+                LabelRenderer.disposeSprite(element);
+            } else {
+                element.geometry.dispose();
+                if (element.material.alphaMap) element.material.alphaMap.dispose();
+                element.material.dispose();
+            }
+        });
         
         const particlesToRemove = this.animationParticles.filter(
             particle => particle.userData.connectionId === connectionId
@@ -1281,13 +2959,315 @@ class ConnectionManager {
             this.animationGroup.remove(particle);
             this.animationParticles.splice(this.animationParticles.indexOf(particle), 1);
         });
+    }
+    
+    /**
+     * Get all connections that start or end at the given element
+     */
+    getConnectionsFor(element) {
+        return this.connections.filter(conn => 
+            conn.fromElement === element || conn.toElement === element
+        );
+    }
+    
+    /**
+     * Remove every connection attached to an element, returning the removed ids
+     */
+    removeConnectionsFor(element) {
+        const connectionIds = this.getConnectionsFor(element).map(conn => conn.id);
+        connectionIds.forEach(connectionId => this.removeConnection(connectionId));
+        return connectionIds;
+    }
+    
+    /**
+     * Point connections at a rebuilt mesh and re-route them
+     */
+    replaceElement(oldElement, newElement) {
+        const affected = this.getConnectionsFor(oldElement);
+        affected.forEach(conn => {
+            if (conn.fromElement === oldElement) conn.fromElement = newElement;
+            if (conn.toElement === oldElement) conn.toElement = newElement;
+        });
+        affected.forEach(conn => this.rebuildConnection(conn));
+    }
+    
+    /**
+     * Re-route every connection attached to any of the given elements
+     */
+    rerouteConnections(elements) {
+        this.connections
+            .filter(conn => elements.includes(conn.fromElement) || elements.includes(conn.toElement))
+            .forEach(conn => this.rebuildConnection(conn));
+    }
+    
+    /**
+     * Re-route connections attached to moving elements without recreating their meshes,
+     * so flow particles keep their progress. Used for per-frame layout animation.
+     */
+    updateConnectionPaths(elements) {
+        this.connections
+            .filter(conn => elements.includes(conn.fromElement) || elements.includes(conn.toElement))
+            .forEach(conn => this.updateConnectionPath(conn));
+    }
+    
+    updateConnectionPath(connection) {
+        connection.baseCurve = this.createConnectionCurve(connection.fromElement, connection.toElement, connection.options);
+        
+        // Bundled connections get their new shape when the bundles are refreshed
+        if (connection.bundle) {
+            this.invalidateBundles();
+        } else {
+            this.setConnectionCurve(connection, connection.baseCurve);
+        }
+    }
+    
+    /**
+     * Show a connection along a different curve, swapping geometry in place
+     */
+    setConnectionCurve(connection, curve) {
+        connection.curve = curve;
+        this.curves[this.connections.indexOf(connection)] = curve;
+        
+        const {
+            segments = 64,
+            tubeRadius = this.options.tubeRadius
+        } = connection.options;
+        
+        this.connectionGroup.children
+            .filter(child => child.userData.connectionId === connection.id)
+            .forEach(child => {
+                if (child.userData.type === 'curve') {
+                    child.geometry.dispose();
+                    if (child.isLine) {
+                        child.geometry = new THREE.BufferGeometry().setFromPoints(curve.getPoints(segments));
+                        if (child.material.isLineDashedMaterial) {
+                            child.computeLineDistances();
+                        }
+                    } else {
+                        child.geometry = new THREE.TubeGeometry(curve, this.getTubeSegments(curve, segments), tubeRadius, 8, false);
+                        if (child.material.alphaMap) {
+                            this.updateDashRepeat(child.material, curve, child.userData.dashPeriod);
+                        }
+                    }
+                } else if (child.userData.type === 'arrow') {
+                    this.orientArrow(child, curve, child.userData.arrowPosition, child.userData.reverse);
+                } else if (child.userData.type === 'label') {
+                    this.placeLabel(child, curve);
+                }
+            });
+        
+        this.animationParticles
+            .filter(particle => particle.userData.connectionId === connection.id)
+            .forEach(particle => { particle.userData.curve = curve; });
+    }
+    
+    /**
+     * Recalculate a connection's curve from its current endpoints and recreate its visuals
+     */
+    rebuildConnection(connection) {
+        this.removeConnectionVisuals(connection.id);
+        
+        const curve = this.createConnectionCurve(connection.fromElement, connection.toElement, connection.options);
+        
+        connection.curve = curve;
+        connection.baseCurve = curve;
+        this.curves[this.connections.indexOf(connection)] = curve;
+        
+        this.createCurveVisual(curve, connection.options, connection.id);
+        
+        if (connection.options.showArrows === true) {
+            this.createArrows(curve, connection.options, connection.id);
+        }
+        
+        if (connection.options.label !== undefined && connection.options.label !== '') {
+            this.createLabel(curve, connection.options, connection.id);
+        }
+        
+        if (this.options.animationEnabled) {
+            this.createConnectionParticles(connection);
+        }
+        
+        this.invalidateBundles();
+    }
+    
+    /**
+     * Resolve the edgeBundling option (false | true | {...}) into settings, or null when off
+     */
+    getBundlingSettings() {
+        const bundling = this.options.edgeBundling;
+        if (!bundling) return null;
+        
+        return {
+            distance: 5,          // max distance between endpoints of bundled connections
+            strength: 0.85,       // how far members are pulled onto the shared trunk (0-1)
+            fanOut: 0.25,         // fraction of each end where members spread to their endpoints
+            minSize: 2,
+            samples: 32,
+            unbundleOnHover: true,
+            ...(typeof bundling === 'object' ? bundling : {})
+        };
+    }
+    
+    /**
+     * Turn edge bundling on/off or change its settings at runtime
+     */
+    setEdgeBundling(bundling) {
+        this.options.edgeBundling = bundling;
+        this.refreshBundles();
+    }
+    
+    /**
+     * Toggle whether hovering an element spreads out the bundles attached to it
+     */
+    setUnbundleOnHover(enabled) {
+        const bundling = this.options.edgeBundling;
+        if (!bundling) return;
+        
+        this.options.edgeBundling = { ...(typeof bundling === 'object' ? bundling : {}), unbundleOnHover: enabled };
+        this.setBundleFocus(this.bundleFocus);
+    }
+    
+    invalidateBundles() {
+        if (this.options.edgeBundling || this.bundles.length > 0) {
+            this.bundlesDirty = true;
+        }
+    }
+    
+    /**
+     * Group connections whose start points and end points both lie within
+     * `distance` of the bundle's running averages. Connections running the
+     * opposite way join as reversed members.
+     */
+    groupBundles(settings) {
+        const bundles = [];
+        
+        this.connections.forEach(connection => {
+            const start = connection.baseCurve.getPointAt(0);
+            const end = connection.baseCurve.getPointAt(1);
+            
+            let match = null;
+            for (const bundle of bundles) {
+                if (start.distanceTo(bundle.start) <= settings.distance && end.distanceTo(bundle.end) <= settings.distance) {
+                    match = { bundle, reversed: false };
+                } else if (start.distanceTo(bundle.end) <= settings.distance && end.distanceTo(bundle.start) <= settings.distance) {
+                    match = { bundle, reversed: true };
+                }
+                if (match) break;
+            }
+            
+            if (!match) {
+                bundles.push({ members: [{ connection, reversed: false }], start, end, amount: 1, targetAmount: 1 });
+                return;
+            }
+            
+            const { bundle, reversed } = match;
+            const count = bundle.members.length;
+            bundle.members.push({ connection, reversed });
+            bundle.start.multiplyScalar(count).add(reversed ? end : start).divideScalar(count + 1);
+            bundle.end.multiplyScalar(count).add(reversed ? start : end).divideScalar(count + 1);
+        });
+        
+        return bundles.filter(bundle => bundle.members.length >= settings.minSize);
+    }
+    
+    /**
+     * Regroup connections into bundles and update every curve that changes shape
+     */
+    refreshBundles() {
+        this.bundlesDirty = false;
+        
+        const settings = this.getBundlingSettings();
+        this.bundles = settings ? this.groupBundles(settings) : [];
+        
+        this.connections.forEach(connection => {
+            connection.bundle = null;
+            connection.bundleReversed = false;
+        });
+        
+        this.bundles.forEach(bundle => {
+            bundle.spine = BezierCurveGenerator.createBundleSpine(bundle.members, settings.samples);
+            bundle.targetAmount = this.isBundleFocused(bundle, settings) ? 0 : 1;
+            bundle.amount = bundle.targetAmount;
+            bundle.members.forEach(member => {
+                member.connection.bundle = bundle;
+                member.connection.bundleReversed = member.reversed;
+            });
+        });
+        
+        this.connections.forEach(connection => this.applyBundledCurve(connection, settings));
+    }
+    
+    applyBundledCurve(connection, settings) {
+        const bundle = connection.bundle;
+        
+        if (!bundle || bundle.amount <= 0) {
+            if (connection.curve !== connection.baseCurve) {
+                this.setConnectionCurve(connection, connection.baseCurve);
+            }
+            return;
+        }
+        
+        const amount = bundle.amount * bundle.amount * (3 - 2 * bundle.amount);
+        this.setConnectionCurve(connection, BezierCurveGenerator.createBundledCurve(connection.baseCurve, bundle.spine, {
+            strength: settings.strength * amount,
+            fanOut: settings.fanOut,
+            reversed: connection.bundleReversed
+        }));
+    }
+    
+    /**
+     * Spread out the bundles attached to an element (e.g. while it is hovered);
+     * pass null to gather everything back into bundles
+     */
+    setBundleFocus(element) {
+        this.bundleFocus = element;
+        
+        const settings = this.getBundlingSettings();
+        if (!settings) return;
+        
+        this.bundles.forEach(bundle => {
+            bundle.targetAmount = this.isBundleFocused(bundle, settings) ? 0 : 1;
+        });
+    }
+    
+    isBundleFocused(bundle, settings) {
+        if (!settings.unbundleOnHover || !this.bundleFocus) return false;
+        
+        return bundle.members.some(member => 
+            member.connection.fromElement === this.bundleFocus || member.connection.toElement === this.bundleFocus
+        );
+    }
+    
+    /**
+     * Apply pending regrouping and animate bundles toward their target state
+     */
+    updateBundles() {
+        if (this.bundlesDirty) {
+            this.refreshBundles();
+        }
         
-        this.connections = this.connections.filter(conn => conn.id !== connectionId);
+        const settings = this.getBundlingSettings();
+        if (!settings) return;
+        
+        const step = 0.08;
+        this.bundles.forEach(bundle => {
+            if (bundle.amount === bundle.targetAmount) return;
+            
+            bundle.amount = bundle.targetAmount > bundle.amount
+                ? Math.min(bundle.targetAmount, bundle.amount + step)
+                : Math.max(bundle.targetAmount, bundle.amount - step);
+            bundle.members.forEach(member => this.applyBundledCurve(member.connection, settings));
+        });
     }
     
     updateAnimations() {
+        this.updateBundles();
+        this.updateScriptedPaths();
+        
         if (!this.options.animationEnabled) return;
         
+        this.updateDashScroll();
+        
         this.animationParticles.forEach(particle => {
             particle.userData.progress += particle.userData.speed;
             
@@ -1295,7 +3275,8 @@ class ConnectionManager {
                 particle.userData.progress = 0;
             }
             
-            const point = particle.userData.curve.getPointAt(particle.userData.progress);
+            const t = particle.userData.reverse ? 1 - particle.userData.progress : particle.userData.progress;
+            const point = particle.userData.curve.getPointAt(t);
             particle.position.copy(point);
             
             const pulse = Math.sin(particle.userData.progress * Math.PI * 4) * 0.3 + 0.7;
@@ -1303,16 +3284,155 @@ class ConnectionManager {
         });
     }
     
-    toggleAnimation() {
-        this.options.animationEnabled = !this.options.animationEnabled;
+    /**
+     * Slide scrolling dash patterns along their tubes (dashScroll is in world units per second)
+     */
+    updateDashScroll() {
+        const now = performance.now();
+        const delta = Math.min((now - (this.lastDashScrollTime || now)) / 1000, 0.1);
+        this.lastDashScrollTime = now;
+        
+        this.connectionGroup.children.forEach(child => {
+            const { dashScroll, dashPeriod } = child.userData;
+            if (!dashScroll || !child.material.alphaMap) return;
+            
+            const offset = child.material.alphaMap.offset;
+            offset.x = (offset.x - dashScroll * delta / dashPeriod) % 1;
+        });
+    }
+    
+    /**
+     * Send a highlighted particle along a scripted path instead of looping on one connection.
+     * Each step either travels a connection ({ connectionId, reverse, duration }) or holds at
+     * a point ({ position, duration }); durations are in ms.
+     * options: { color, size, loop, onStep(step, index), onComplete() }
+     */
+    playScriptedPath(steps, options = {}) {
+        if (!steps || steps.length === 0) {
+            throw new Error('A scripted path needs at least one step');
+        }
         
-        if (this.options.animationEnabled) {
-            this.curves.forEach((curve, index) => {
-                const connection = this.connections[index];
-                if (connection) {
-                    this.createAnimationParticle(curve, connection.id);
-                }
-            });
+        const settings = {
+            color: 0xf43f5e,
+            size: 0.22,
+            loop: false,
+            onStep: null,
+            onComplete: null,
+            ...options
+        };
+        
+        const path = {
+            steps,
+            settings,
+            particle: this.createScriptedParticle(settings),
+            index: -1,
+            stepStart: 0,
+            from: new THREE.Vector3()
+        };
+        
+        this.scriptedPaths.push(path);
+        this.startScriptedStep(path, 0, performance.now());
+        this.placeScriptedParticle(path, 0);
+        return path;
+    }
+    
+    createScriptedParticle({ color, size }) {
+        const particle = new THREE.Mesh(
+            new THREE.SphereGeometry(size, 16, 16),
+            new THREE.MeshPhongMaterial({ color, emissive: color, emissiveIntensity: 0.8, shininess: 80 })
+        );
+        
+        // Soft halo so the traced request stands out from regular flow particles
+        const halo = new THREE.Mesh(
+            new THREE.SphereGeometry(size * 1.9, 16, 16),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        particle.add(halo);
+        
+        particle.userData = { type: 'scripted-particle' };
+        this.animationGroup.add(particle);
+        return particle;
+    }
+    
+    startScriptedStep(path, index, startTime) {
+        path.index = index;
+        path.stepStart = startTime;
+        path.from.copy(path.particle.position);
+        
+        if (path.settings.onStep) {
+            path.settings.onStep(path.steps[index], index);
+        }
+    }
+    
+    /**
+     * Advance every scripted path, stepping over finished steps (several after a long frame)
+     */
+    updateScriptedPaths(now = performance.now()) {
+        const stepDuration = step => Math.max(step.duration || 0, 1);
+        
+        this.scriptedPaths.slice().forEach(path => {
+            let elapsed = now - path.stepStart;
+            
+            while (elapsed >= stepDuration(path.steps[path.index])) {
+                const stepEnd = path.stepStart + stepDuration(path.steps[path.index]);
+                
+                if (path.index + 1 < path.steps.length) {
+                    this.placeScriptedParticle(path, stepDuration(path.steps[path.index]));
+                    this.startScriptedStep(path, path.index + 1, stepEnd);
+                } else if (path.settings.loop) {
+                    // After a long pause (a background tab) skip the missed cycles instead of replaying every step
+                    const cycle = path.steps.reduce((total, step) => total + stepDuration(step), 0);
+                    this.startScriptedStep(path, 0, stepEnd + Math.floor((now - stepEnd) / cycle) * cycle);
+                } else {
+                    this.placeScriptedParticle(path, stepDuration(path.steps[path.index]));
+                    this.stopScriptedPath(path);
+                    if (path.settings.onComplete) path.settings.onComplete();
+                    return;
+                }
+                elapsed = now - path.stepStart;
+            }
+            
+            this.placeScriptedParticle(path, elapsed);
+        });
+    }
+    
+    placeScriptedParticle(path, elapsed) {
+        const step = path.steps[path.index];
+        const particle = path.particle;
+        const t = Math.min(elapsed / Math.max(step.duration || 0, 1), 1);
+        
+        if (step.connectionId !== undefined) {
+            const connection = this.connections.find(conn => conn.id === step.connectionId);
+            // A connection removed mid-replay leaves the particle where it is
+            if (connection) {
+                particle.position.copy(connection.curve.getPointAt(step.reverse ? 1 - t : t));
+            }
+        } else if (step.position) {
+            // Glide onto the hold point quickly, then wait there
+            const glide = Math.min(elapsed / Math.min(300, step.duration / 2 || 1), 1);
+            particle.position.lerpVectors(path.from, step.position, glide);
+        }
+        
+        particle.scale.setScalar(1 + Math.sin(elapsed / 120) * 0.12);
+    }
+    
+    stopScriptedPath(path) {
+        const index = this.scriptedPaths.indexOf(path);
+        if (index === -1) return;
+        
+        this.scriptedPaths.splice(index, 1);
+        this.animationGroup.remove(path.particle);
+        path.particle.traverse(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+    }
+    
+    toggleAnimation() {
+        this.options.animationEnabled = !this.options.animationEnabled;
+        
+        if (this.options.animationEnabled) {
+            this.connections.forEach(connection => this.createConnectionParticles(connection));
         } else {
             this.animationParticles.forEach(particle => {
                 this.animationGroup.remove(particle);
@@ -1331,10 +3451,40 @@ class ConnectionManager {
         this.animationGroup.clear();
         this.curves = [];
         this.animationParticles = [];
+        this.scriptedPaths.slice().forEach(path => this.stopScriptedPath(path));
         this.connections = [];
+        this.bundles = [];
+        this.bundlesDirty = false;
+        this.bundleFocus = null;
     }
 }
 
+ConnectionManager.DIRECTIONS = ['forward', 'backward', 'both', 'none'];
+ConnectionManager.DASH_PATTERNS = ['dashed', 'dotted', 'dash-dot'];
+ConnectionManager.METRIC_SCALES = ['linear', 'log'];
+
+/**
+ * Properties a connection can bind to a metric, with their default output ranges
+ */
+ConnectionManager.METRIC_BINDINGS = {
+    tubeRadius: { range: [0.04, 0.2] },
+    particleCount: { range: [1, 8] },
+    particleSpeed: { range: [0.004, 0.03] }
+};
+
+// Relative change a bound tube radius needs before the tube geometry is rebuilt
+ConnectionManager.RADIUS_REBUILD_TOLERANCE = 0.02;
+
+/**
+ * Visual presets applied by a connection's `kind`
+ */
+ConnectionManager.KIND_PRESETS = {
+    sync: {},
+    async: { dashPattern: 'dashed', dashSize: 0.3, gapSize: 0.2, color: 0x6366f1 },
+    event: { dashPattern: 'dotted', gapSize: 0.18, dashScroll: true, color: 0xf59e0b },
+    replication: { direction: 'both', color: 0x06b6d4, tubeRadius: 0.06 }
+};
+
 // Export para usar en otros archivos
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { ConnectionPointCalculator, BezierCurveGenerator, ConnectionManager };
@@ -1353,6 +3503,8 @@ class UIManager {
         this.infoCard = null;
         this.controls = null;
         this.legend = null;
+        this.timelineControls = null;
+        this.tourOverlay = null;
         // Enhanced info card timing control
         this.infoCardTimeout = null;
         this.showDelay = 200; // Reduced delay for better responsiveness
@@ -1575,16 +3727,138 @@ class UIManager {
             <button onclick="window.diagram_${diagramId}.sceneManager.setTopView()">Top View</button>
             <button onclick="window.diagram_${diagramId}.sceneManager.setSideView()">Side View</button>
             <br>
+            <button onclick="window.diagram_${diagramId}.setProjection('dimetric')">Dimetric</button>
+            <button onclick="window.diagram_${diagramId}.setProjection('trimetric')">Trimetric</button>
+            <button onclick="window.diagram_${diagramId}.setProjection('cavalier')">Cavalier</button>
+            <br>
             <button onclick="window.diagram_${diagramId}.toggleMouseResponsive()" class="accent" id="mouseToggle_${diagramId}">
                 Mouse Response: ${this.diagram.sceneManager.mouseCamera.isEnabled ? 'ON' : 'OFF'}
             </button>
             <br>
             <button onclick="window.diagram_${diagramId}.toggleConnections()" class="secondary">Toggle Connections</button>
+            <button onclick="window.diagram_${diagramId}.toggleLabels()" class="secondary">Toggle Labels</button>
             <br>
             <button onclick="window.diagram_${diagramId}.connectionManager.toggleAnimation()" class="accent">Animated Flow</button>
             <button onclick="window.diagram_${diagramId}.resetView()" class="danger">Reset View</button>
+            <span class="diagram-tour-controls"><br>
+            <button onclick="window.diagram_${diagramId}.startTour()" class="accent">Start Tour</button></span>
         `;
         this.diagram.container.appendChild(this.controls);
+        this.updateTourControls();
+    }
+    
+    /**
+     * Show the Start Tour button only while the diagram has a config tour (load() can change it)
+     */
+    updateTourControls() {
+        if (!this.controls) return;
+        this.controls.querySelector('.diagram-tour-controls').style.display = this.diagram.tourConfig ? '' : 'none';
+    }
+    
+    /**
+     * Play/pause button, scrubber, time readout and speed select for a TimelinePlayer
+     */
+    createTimelineControls(player) {
+        this.removeTimelineControls();
+        
+        this.timelineControls = document.createElement('div');
+        this.timelineControls.className = 'diagram-timeline';
+        this.timelineControls.innerHTML = `
+            <button class="timeline-play" title="Play / pause">▶</button>
+            <input class="timeline-scrubber" type="range" min="0" max="1000" step="1" value="0">
+            <span class="timeline-time"></span>
+            <select class="timeline-speed" title="Playback speed">
+                ${[0.25, 0.5, 1, 2, 4, 8].map(speed =>
+                    `<option value="${speed}"${speed === player.options.speed ? ' selected' : ''}>${speed}×</option>`
+                ).join('')}
+            </select>
+        `;
+        
+        const playButton = this.timelineControls.querySelector('.timeline-play');
+        const scrubber = this.timelineControls.querySelector('.timeline-scrubber');
+        const timeLabel = this.timelineControls.querySelector('.timeline-time');
+        const speedSelect = this.timelineControls.querySelector('.timeline-speed');
+        
+        playButton.addEventListener('click', () => player.toggle());
+        scrubber.addEventListener('input', () => player.seekProgress(scrubber.value / 1000));
+        speedSelect.addEventListener('change', () => player.setSpeed(Number(speedSelect.value)));
+        
+        // Keep clicks and drags on the bar from reaching the canvas handlers
+        ['click', 'mousedown', 'touchstart', 'touchmove', 'touchend'].forEach(type =>
+            this.timelineControls.addEventListener(type, event => event.stopPropagation())
+        );
+        
+        const render = () => {
+            playButton.textContent = player.playing ? '❚❚' : '▶';
+            scrubber.value = Math.round(player.getProgress() * 1000);
+            timeLabel.textContent = player.formatTime();
+        };
+        player.onChange(render);
+        render();
+        
+        this.diagram.container.appendChild(this.timelineControls);
+    }
+    
+    removeTimelineControls() {
+        if (this.timelineControls) {
+            this.diagram.container.removeChild(this.timelineControls);
+            this.timelineControls = null;
+        }
+    }
+    
+    /**
+     * Caption panel with step counter and prev/autoplay/next controls for a DiagramTour
+     */
+    createTourOverlay(tour) {
+        this.removeTourOverlay();
+        
+        this.tourOverlay = document.createElement('div');
+        this.tourOverlay.className = 'diagram-tour';
+        this.tourOverlay.innerHTML = `
+            <button class="tour-close" title="End tour">×</button>
+            <div class="tour-progress"></div>
+            <div class="tour-title"></div>
+            <div class="tour-caption"></div>
+            <div class="tour-nav">
+                <button class="tour-prev secondary">‹ Prev</button>
+                <button class="tour-play accent"></button>
+                <button class="tour-next">Next ›</button>
+            </div>
+        `;
+        
+        const query = selector => this.tourOverlay.querySelector(selector);
+        query('.tour-close').addEventListener('click', () => this.diagram.stopTour());
+        query('.tour-prev').addEventListener('click', () => tour.prev());
+        query('.tour-next').addEventListener('click', () => tour.next());
+        query('.tour-play').addEventListener('click', () => tour.toggle());
+        
+        // Keep clicks on the panel from selecting elements behind it
+        ['click', 'mousedown', 'touchstart', 'touchmove', 'touchend'].forEach(type =>
+            this.tourOverlay.addEventListener(type, event => event.stopPropagation())
+        );
+        
+        const render = () => {
+            const step = tour.getStep();
+            if (!step) return;
+            
+            query('.tour-progress').textContent = `Step ${tour.index + 1} of ${tour.steps.length}`;
+            query('.tour-title').textContent = step.title || '';
+            query('.tour-caption').textContent = step.caption || '';
+            query('.tour-prev').disabled = tour.index === 0;
+            query('.tour-next').disabled = tour.index === tour.steps.length - 1 && !tour.options.loop;
+            query('.tour-play').textContent = tour.playing ? '❚❚ Pause' : '▶ Autoplay';
+        };
+        tour.onChange(render);
+        render();
+        
+        this.diagram.container.appendChild(this.tourOverlay);
+    }
+    
+    removeTourOverlay() {
+        if (this.tourOverlay) {
+            this.diagram.container.removeChild(this.tourOverlay);
+            this.tourOverlay = null;
+        }
     }
     
     createLegend() {
@@ -1725,6 +3999,8 @@ class UIManager {
         const technicalInfo = this.infoCard.querySelector('.technical-info');
         
         const objectData = object.userData;
+        this.infoCardObject = object;
+        this.infoCardEvent = mouseEvent;
         
         // Set layer text
         if (objectData.type === 'platform') {
@@ -1778,6 +4054,11 @@ Monitoring: Platform-integrated`;
             }
         }
         
+        const liveSummary = this.getLiveSummary(objectData);
+        if (liveSummary) {
+            basicInfo.textContent = `${basicInfo.textContent} · ${liveSummary}`;
+        }
+        
         // Initialize disclosure state
         this.updateDisclosureContent();
         
@@ -1797,6 +4078,81 @@ Monitoring: Platform-integrated`;
         this.infoCard.classList.add('visible');
     }
     
+    /**
+     * Re-render the info card if it is currently showing this object (e.g. after a live update)
+     */
+    refreshInfoCard(object) {
+        if (this.infoCardObject === object && this.infoCard.classList.contains('visible')) {
+            this.updateInfoCard(object, this.infoCardEvent);
+        }
+    }
+    
+    /**
+     * Show a trace span's details on the info card, anchored to the element it ran on
+     */
+    showSpanCard(object, span) {
+        if (this.infoCardTimeout) {
+            clearTimeout(this.infoCardTimeout);
+        }
+        if (this.disclosureTimeout) {
+            clearTimeout(this.disclosureTimeout);
+        }
+        
+        this.updateInfoCard(object, this.getScreenAnchor(object));
+        // Span content replaces the element's, so live updates shouldn't redraw over it
+        this.infoCardObject = null;
+        
+        const duration = Number(TraceReplay.getSpanDuration(span).toFixed(1));
+        const status = span.status && typeof span.status === 'object' ? span.status.code : span.status;
+        const attributes = Object.entries(span.attributes || {});
+        
+        this.infoCard.querySelector('.layer').textContent = `TRACE · ${(object.userData.name || '').toUpperCase()}`;
+        this.infoCard.querySelector('.title').textContent = span.name || object.userData.name;
+        this.infoCard.querySelector('.basic-info').textContent = status !== undefined
+            ? `${duration} ms · ${status}`
+            : `${duration} ms`;
+        this.infoCard.querySelector('.detailed-info').textContent = [
+            span.spanId !== undefined ? `Span: ${span.spanId}` : null,
+            span.parentSpanId ? `Parent: ${span.parentSpanId}` : null,
+            span.traceId !== undefined ? `Trace: ${span.traceId}` : null
+        ].filter(Boolean).join(' · ');
+        this.infoCard.querySelector('.technical-info').textContent = attributes.length > 0
+            ? attributes.map(([name, value]) => `${name}: ${value}`).join('\n')
+            : 'No attributes';
+        
+        this.disclosureLevel = 1;
+        this.updateDisclosureIndicator();
+        this.updateDisclosureContent();
+    }
+    
+    /**
+     * Client coordinates of an object's position, shaped like a mouse event for the info card
+     */
+    getScreenAnchor(object) {
+        const container = this.diagram.container;
+        const rect = container.getBoundingClientRect();
+        const projected = object.position.clone().project(this.diagram.sceneManager.camera);
+        
+        return {
+            clientX: rect.left + (projected.x + 1) / 2 * container.clientWidth,
+            clientY: rect.top + (1 - projected.y) / 2 * container.clientHeight
+        };
+    }
+    
+    /**
+     * "Status: degraded · latency: 120" from live status data, or '' when there is none
+     */
+    getLiveSummary(objectData) {
+        const parts = [];
+        if (objectData.status !== undefined) {
+            parts.push(`Status: ${objectData.status}`);
+        }
+        Object.entries(objectData.metrics || {}).forEach(([name, value]) => {
+            parts.push(`${name}: ${typeof value === 'number' ? Number(value.toFixed(2)) : value}`);
+        });
+        return parts.join(' · ');
+    }
+    
     /**
      * Helper methods for enhanced info content
      */
@@ -1827,6 +4183,8 @@ Monitoring: Platform-integrated`;
         if (this.infoCard) this.diagram.container.removeChild(this.infoCard);
         if (this.controls) this.diagram.container.removeChild(this.controls);
         if (this.legend) this.diagram.container.removeChild(this.legend);
+        this.removeTimelineControls();
+        this.removeTourOverlay();
     }
 }
 
@@ -1880,9 +4238,11 @@ class InteractionManager {
     bindEvents() {
         this.onMouseMove = this.onMouseMove.bind(this);
         this.onMouseClick = this.onMouseClick.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
         
         this.diagram.container.addEventListener('mousemove', this.onMouseMove);
         this.diagram.container.addEventListener('click', this.onMouseClick);
+        this.diagram.container.addEventListener('dblclick', this.onDoubleClick);
     }
     
     onMouseMove(event) {
@@ -1890,7 +4250,7 @@ class InteractionManager {
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         
-        this.raycaster.setFromCamera(this.mouse, this.diagram.sceneManager.camera);
+        this.diagram.sceneManager.setRaycasterFromPointer(this.raycaster, this.mouse);
         
         const interactableObjects = [...this.diagram.components];
         Object.values(this.diagram.platforms).forEach(platform => {
@@ -1911,6 +4271,7 @@ class InteractionManager {
                 // Set new hover with enhanced animation
                 this.hoveredComponent = object;
                 this.smoothHoverTransition(object);
+                this.diagram.connectionManager.setBundleFocus(object);
                 
                 // Enhanced scale animation
                 this.targetScales.set(object, new THREE.Vector3(1.15, 1.15, 1.15));
@@ -1924,6 +4285,7 @@ class InteractionManager {
                 this.hoveredComponent = null;
                 this.diagram.uiManager.hideInfoCard();
             }
+            this.diagram.connectionManager.setBundleFocus(null);
         }
     }
     
@@ -1954,10 +4316,11 @@ class InteractionManager {
     smoothResetComponentState(object) {
         const originalMaterial = this.originalMaterials.get(object);
         
-        // Start reset transition
+        // Start reset transition; it ends on the resting material itself so state tints
+        // applied to it (health status) show again
         this.materialTransitions.set(object, {
             startMaterial: object.material.clone(),
-            targetMaterial: originalMaterial.clone(),
+            targetMaterial: originalMaterial,
             progress: 0,
             duration: 200, // ms
             startTime: performance.now(),
@@ -1966,17 +4329,30 @@ class InteractionManager {
         
         this.targetScales.set(object, new THREE.Vector3(1, 1, 1));
         this.removePulsingGlow(object);
+        this.restoreStatusGlow(object);
+    }
+    
+    /**
+     * Put back the glow of a live status after hover effects removed it
+     */
+    restoreStatusGlow(object) {
+        if (object.userData.statusColor !== undefined) {
+            this.addPulsingGlow(object, object.userData.statusColor);
+        }
     }
     
     /**
      * Add pulsing glow effect for enhanced hover
      */
-    addPulsingGlow(object) {
-        if (object.userData.glowEffect) return;
+    addPulsingGlow(object, color = 0x3b82f6) {
+        if (object.userData.glowEffect) {
+            object.userData.glowEffect.material.color.setHex(color);
+            return;
+        }
         
         const glowGeometry = object.geometry.clone();
         const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x3b82f6,
+            color: color,
             opacity: 0.2,
             transparent: true,
             side: THREE.BackSide
@@ -2000,12 +4376,35 @@ class InteractionManager {
         }
     }
     
+    /**
+     * Double-click frames the element under the cursor, or the whole diagram on empty space
+     */
+    onDoubleClick(event) {
+        const rect = this.diagram.container.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        
+        this.diagram.sceneManager.setRaycasterFromPointer(this.raycaster, this.mouse);
+        
+        const elements = [...this.diagram.components, ...Object.values(this.diagram.platforms).filter(Boolean)];
+        const intersects = this.raycaster.intersectObjects(elements);
+        
+        if (intersects.length > 0) {
+            this.diagram.focusElement(intersects[0].object.userData.id);
+        } else {
+            this.diagram.fitToContent();
+        }
+    }
+    
     onMouseClick(event) {
+        // The click that ends a camera pan or rotation isn't a selection
+        if (this.diagram.sceneManager.consumeDragClick()) return;
+        
         const rect = this.diagram.container.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         
-        this.raycaster.setFromCamera(this.mouse, this.diagram.sceneManager.camera);
+        this.diagram.sceneManager.setRaycasterFromPointer(this.raycaster, this.mouse);
         
         const interactableObjects = [...this.diagram.components];
         Object.values(this.diagram.platforms).forEach(platform => {
@@ -2211,6 +4610,26 @@ class InteractionManager {
         this.registerComponent(platform);
     }
     
+    /**
+     * Forget a component or platform that is being removed from the scene
+     */
+    unregisterComponent(object) {
+        if (this.hoveredComponent === object) {
+            this.hoveredComponent = null;
+            this.diagram.uiManager.hideInfoCard();
+            this.diagram.connectionManager.setBundleFocus(null);
+        }
+        if (this.selectedComponent === object) {
+            this.selectedComponent = null;
+            this.diagram.uiManager.hideInfoCard();
+        }
+        
+        this.removePulsingGlow(object);
+        this.materialTransitions.delete(object);
+        this.originalMaterials.delete(object);
+        this.targetScales.delete(object);
+    }
+    
     dispose() {
         if (this.hoverTimeout) {
             clearTimeout(this.hoverTimeout);
@@ -2228,324 +4647,3841 @@ class InteractionManager {
         
         this.diagram.container.removeEventListener('mousemove', this.onMouseMove);
         this.diagram.container.removeEventListener('click', this.onMouseClick);
+        this.diagram.container.removeEventListener('dblclick', this.onDoubleClick);
     }
 }
 
 /**
- * MAIN DIAGRAM3D CLASS
+ * Layered Layout - Sugiyama-style placement of diagram nodes from the connection graph.
+ *
+ * Nodes are ranked by flow (longest path after breaking cycles), long edges get dummy
+ * nodes, ranks are reordered with barycenter sweeps to reduce crossings, and nodes are
+ * placed along the rank axis ('left-to-right' = +x, 'back-to-front' = +z).
+ * The result only depends on node/edge order, so it is stable across runs.
  */
-class Diagram3D {
-    constructor(config) {
-        this.container = typeof config.container === 'string' 
-            ? document.querySelector(config.container) 
-            : config.container;
-            
-        if (!this.container) {
-            throw new Error('Container not found');
-        }
-        
-        this.options = {
-            showControls: false,
-            showLegend: false,
-            showConnectionInfo: false,
-            enableInteraction: true,
-            animationEnabled: true,
-            enableShadows: true,
-            showArrows: false,
-            ...config.options
-        };
+class LayeredLayout {
+    /**
+     * nodes: [{ key, width, depth }], edges: [[fromKey, toKey]]
+     * Returns a Map of key → { x, z } node centers, with the layout centered on the origin.
+     */
+    static compute(nodes, edges, options = {}) {
+        const {
+            direction = 'left-to-right',
+            rankGap = 3,
+            nodeGap = 2,
+            iterations = 12
+        } = options;
         
-        this.data = config.data || {};
-        this.connections = config.connections || [];
-        this.id = this.generateId();
+        const keys = new Set(nodes.map(node => node.key));
+        const seen = new Set();
+        const edgeList = [];
+        edges.forEach(([from, to]) => {
+            const edgeKey = `${from}\u0000${to}`;
+            if (from === to || !keys.has(from) || !keys.has(to) || seen.has(edgeKey)) return;
+            seen.add(edgeKey);
+            edgeList.push([from, to]);
+        });
         
-        this.components = [];
-        this.platforms = {};
+        const acyclicEdges = this.removeCycles(nodes, edgeList);
+        const ranks = this.assignRanks(nodes, acyclicEdges);
+        const { layers, links } = this.buildLayers(nodes, acyclicEdges, ranks, direction);
         
-        this.init();
+        this.orderLayers(layers, links, iterations);
+        return this.assignCoordinates(layers, links, { direction, rankGap, nodeGap });
     }
     
-    generateId() {
-        return Math.random().toString(36).substr(2, 9);
+    /**
+     * Reverse back edges found by a depth-first search in node order
+     */
+    static removeCycles(nodes, edges) {
+        const outgoing = new Map(nodes.map(node => [node.key, []]));
+        edges.forEach(edge => outgoing.get(edge[0]).push(edge));
+        
+        const state = new Map();
+        const reversed = new Set();
+        
+        const visit = (key) => {
+            state.set(key, 'active');
+            outgoing.get(key).forEach(edge => {
+                const next = edge[1];
+                if (state.get(next) === 'active') {
+                    reversed.add(edge);
+                } else if (!state.has(next)) {
+                    visit(next);
+                }
+            });
+            state.set(key, 'done');
+        };
+        
+        nodes.forEach(node => {
+            if (!state.has(node.key)) visit(node.key);
+        });
+        
+        return edges.map(edge => reversed.has(edge) ? [edge[1], edge[0]] : edge);
     }
     
-    init() {
-        this.sceneManager = new SceneManager(this.container, this.options);
-        this.connectionManager = new ConnectionManager(this.sceneManager.scene, this.options);
-        this.uiManager = new UIManager(this);
+    /**
+     * Longest-path ranking, then sources are pulled next to their closest successor
+     */
+    static assignRanks(nodes, edges) {
+        const incoming = new Map(nodes.map(node => [node.key, []]));
+        const outgoing = new Map(nodes.map(node => [node.key, []]));
+        edges.forEach(([from, to]) => {
+            outgoing.get(from).push(to);
+            incoming.get(to).push(from);
+        });
         
-        if (this.options.enableInteraction) {
-            this.interactionManager = new InteractionManager(this);
+        // Kahn's algorithm, visiting ready nodes in config order
+        const remaining = new Map(nodes.map(node => [node.key, incoming.get(node.key).length]));
+        const order = [];
+        const ready = nodes.filter(node => remaining.get(node.key) === 0).map(node => node.key);
+        while (ready.length > 0) {
+            const key = ready.shift();
+            order.push(key);
+            outgoing.get(key).forEach(next => {
+                remaining.set(next, remaining.get(next) - 1);
+                if (remaining.get(next) === 0) ready.push(next);
+            });
         }
         
-        this.createElements();
-        this.createConnections();
-        this.startAnimationLoop();
+        const ranks = new Map();
+        order.forEach(key => {
+            const predecessorRanks = incoming.get(key).map(from => ranks.get(from) + 1);
+            ranks.set(key, Math.max(0, ...predecessorRanks));
+        });
         
-        window[`diagram_${this.id}`] = this;
+        for (let i = order.length - 1; i >= 0; i--) {
+            const key = order[i];
+            if (incoming.get(key).length === 0 && outgoing.get(key).length > 0) {
+                ranks.set(key, Math.min(...outgoing.get(key).map(to => ranks.get(to))) - 1);
+            }
+        }
+        
+        return ranks;
     }
     
-    createElements() {
-        const materials = this.createMaterials();
+    /**
+     * Group nodes by rank and split edges spanning several ranks with dummy vertices
+     */
+    static buildLayers(nodes, edges, ranks, direction) {
+        const primary = direction === 'back-to-front' ? 'depth' : 'width';
+        const secondary = direction === 'back-to-front' ? 'width' : 'depth';
+        const maxRank = Math.max(0, ...ranks.values());
+        const layers = Array.from({ length: maxRank + 1 }, () => []);
+        const vertices = new Map();
+        
+        nodes.forEach(node => {
+            const vertex = {
+                key: node.key,
+                rank: ranks.get(node.key),
+                along: node[primary],
+                across: node[secondary],
+                dummy: false
+            };
+            vertices.set(node.key, vertex);
+            layers[vertex.rank].push(vertex);
+        });
         
-        Object.entries(this.data).forEach(([layerName, layerData]) => {
-            if (layerData.platform !== null && layerData.platform !== undefined) {
-                const platform = this.createPlatform(layerData.platform, materials[layerName] || materials.default, layerName);
-                this.platforms[layerName] = platform;
-                
-                if (this.interactionManager) {
-                    this.interactionManager.registerPlatform(platform);
-                }
-            }
+        const links = [];
+        edges.forEach(([from, to]) => {
+            let upper = vertices.get(from);
+            const lower = vertices.get(to);
             
-            if (layerData.components) {
-                layerData.components.forEach(comp => {
-                    const hasPlataform = (layerData.platform !== null && layerData.platform !== undefined);
-                    const component = this.createComponent(comp, layerName, hasPlataform);
-                    this.components.push(component);
-                    
-                    if (this.interactionManager) {
-                        this.interactionManager.registerComponent(component);
-                    }
-                });
+            for (let rank = upper.rank + 1; rank < lower.rank; rank++) {
+                const dummy = { key: null, rank, along: 0, across: 0.5, dummy: true };
+                layers[rank].push(dummy);
+                links.push([upper, dummy]);
+                upper = dummy;
             }
+            links.push([upper, lower]);
         });
-    }
-    
-    createMaterials() {
-        return {
-            userInterface: this.createEnhancedMaterial(0x10b981, 0x047857, 'Interface Layer'),
-            businessLogic: this.createEnhancedMaterial(0xf59e0b, 0xd97706, 'Logic Layer'),
-            output: this.createEnhancedMaterial(0x8b5cf6, 0x7c3aed, 'Output Layer'),
-            database: this.createEnhancedMaterial(0x06b6d4, 0x0891b2, 'Database Layer'),
-            frontend: this.createEnhancedMaterial(0x3b82f6, 0x2563eb, 'Frontend Layer'),
-            backend: this.createEnhancedMaterial(0x10b981, 0x047857, 'Backend Layer'),
-            services: this.createEnhancedMaterial(0x8b5cf6, 0x7c3aed, 'Services Layer'),
-            default: this.createEnhancedMaterial(0x64748b, 0x475569, 'Default Layer')
-        };
+        
+        layers.forEach(layer => layer.forEach((vertex, index) => { vertex.order = index; }));
+        return { layers, links };
     }
     
     /**
-     * Create materials with subtle gradients and depth effects
+     * Alternate downward/upward barycenter sweeps, keeping the ordering with fewest crossings
      */
-    createEnhancedMaterial(primaryColor, accentColor, layerType) {
-        const material = new THREE.MeshPhongMaterial({
-            color: primaryColor,
-            emissive: accentColor,
-            emissiveIntensity: 0.05,
-            opacity: 0.85,
+    static orderLayers(layers, links, iterations) {
+        const upperNeighbours = new Map();
+        const lowerNeighbours = new Map();
+        layers.forEach(layer => layer.forEach(vertex => {
+            upperNeighbours.set(vertex, []);
+            lowerNeighbours.set(vertex, []);
+        }));
+        links.forEach(([upper, lower]) => {
+            lowerNeighbours.get(upper).push(lower);
+            upperNeighbours.get(lower).push(upper);
+        });
+        
+        const snapshot = () => layers.map(layer => layer.slice());
+        let best = snapshot();
+        let bestCrossings = this.countCrossings(layers, links);
+        
+        const sortLayer = (layer, neighbours) => {
+            const barycenters = new Map(layer.map(vertex => {
+                const adjacent = neighbours.get(vertex);
+                const value = adjacent.length > 0
+                    ? adjacent.reduce((sum, other) => sum + other.order, 0) / adjacent.length
+                    : vertex.order;
+                return [vertex, value];
+            }));
+            layer.sort((a, b) => (barycenters.get(a) - barycenters.get(b)) || (a.order - b.order));
+            layer.forEach((vertex, index) => { vertex.order = index; });
+        };
+        
+        for (let i = 0; i < iterations; i++) {
+            if (i % 2 === 0) {
+                for (let r = 1; r < layers.length; r++) sortLayer(layers[r], upperNeighbours);
+            } else {
+                for (let r = layers.length - 2; r >= 0; r--) sortLayer(layers[r], lowerNeighbours);
+            }
+            
+            const crossings = this.countCrossings(layers, links);
+            if (crossings < bestCrossings) {
+                best = snapshot();
+                bestCrossings = crossings;
+            }
+        }
+        
+        best.forEach((layer, r) => {
+            layers[r] = layer;
+            layer.forEach((vertex, index) => { vertex.order = index; });
+        });
+    }
+    
+    static countCrossings(layers, links) {
+        let crossings = 0;
+        for (let i = 0; i < links.length; i++) {
+            for (let j = i + 1; j < links.length; j++) {
+                const [a1, b1] = links[i];
+                const [a2, b2] = links[j];
+                if (a1.rank !== a2.rank) continue;
+                if ((a1.order - a2.order) * (b1.order - b2.order) < 0) crossings++;
+            }
+        }
+        return crossings;
+    }
+    
+    /**
+     * Place ranks along the flow axis and nodes across it, pulling each node toward
+     * its neighbours' average while keeping the order and the minimum spacing
+     */
+    static assignCoordinates(layers, links, options) {
+        const { direction, rankGap, nodeGap } = options;
+        const upperNeighbours = new Map();
+        const lowerNeighbours = new Map();
+        layers.forEach(layer => layer.forEach(vertex => {
+            upperNeighbours.set(vertex, []);
+            lowerNeighbours.set(vertex, []);
+        }));
+        links.forEach(([upper, lower]) => {
+            lowerNeighbours.get(upper).push(lower);
+            upperNeighbours.get(lower).push(upper);
+        });
+        
+        // Rank axis
+        let cursor = 0;
+        layers.forEach((layer, r) => {
+            const extent = Math.max(0, ...layer.map(vertex => vertex.along));
+            if (r > 0) cursor += rankGap;
+            layer.forEach(vertex => { vertex.primary = cursor + extent / 2; });
+            cursor += extent;
+        });
+        
+        // Cross axis: packed and centered first
+        layers.forEach(layer => {
+            const total = layer.reduce((sum, vertex) => sum + vertex.across, 0) + nodeGap * (layer.length - 1);
+            let offset = -total / 2;
+            layer.forEach(vertex => {
+                vertex.secondary = offset + vertex.across / 2;
+                offset += vertex.across + nodeGap;
+            });
+        });
+        
+        const align = (layer, neighbours) => {
+            const desired = layer.map(vertex => {
+                const adjacent = neighbours.get(vertex);
+                return adjacent.length > 0
+                    ? adjacent.reduce((sum, other) => sum + other.secondary, 0) / adjacent.length
+                    : vertex.secondary;
+            });
+            const gap = (i) => (layer[i - 1].across + layer[i].across) / 2 + nodeGap;
+            
+            // Averaging a left-packed and a right-packed placement keeps the spacing valid
+            const forward = desired.slice();
+            for (let i = 1; i < layer.length; i++) {
+                forward[i] = Math.max(desired[i], forward[i - 1] + gap(i));
+            }
+            const backward = desired.slice();
+            for (let i = layer.length - 2; i >= 0; i--) {
+                backward[i] = Math.min(desired[i], backward[i + 1] - gap(i + 1));
+            }
+            layer.forEach((vertex, i) => { vertex.secondary = (forward[i] + backward[i]) / 2; });
+        };
+        
+        for (let r = 1; r < layers.length; r++) align(layers[r], upperNeighbours);
+        for (let r = layers.length - 2; r >= 0; r--) align(layers[r], lowerNeighbours);
+        
+        // Center real nodes on the origin
+        const real = layers.flat().filter(vertex => !vertex.dummy);
+        const bounds = ['primary', 'secondary'].map(axis => {
+            const extentKey = axis === 'primary' ? 'along' : 'across';
+            const min = Math.min(...real.map(vertex => vertex[axis] - vertex[extentKey] / 2));
+            const max = Math.max(...real.map(vertex => vertex[axis] + vertex[extentKey] / 2));
+            return (min + max) / 2;
+        });
+        
+        const positions = new Map();
+        real.forEach(vertex => {
+            const primary = vertex.primary - bounds[0];
+            const secondary = vertex.secondary - bounds[1];
+            positions.set(vertex.key, direction === 'back-to-front'
+                ? { x: secondary, z: primary }
+                : { x: primary, z: secondary });
+        });
+        return positions;
+    }
+}
+
+LayeredLayout.DIRECTIONS = ['left-to-right', 'back-to-front'];
+
+/**
+ * Force Layout - Force-directed placement for network-style diagrams.
+ *
+ * Nodes repel each other (with a hard push when their footprints overlap), connected
+ * nodes are pulled toward a rest length and everything drifts toward the center.
+ * Pinned nodes never move. Unplaced nodes are seeded on a spiral, so runs are deterministic.
+ * The simulation is stepped by the caller, which lets Diagram3D animate it frame by frame.
+ */
+class ForceLayout {
+    /**
+     * nodes: [{ key, width, depth, x?, z?, pinned? }], edges: [[fromKey, toKey]]
+     */
+    constructor(nodes, edges, options = {}) {
+        this.options = {
+            linkDistance: 4,
+            repulsion: 30,
+            springStrength: 0.05,
+            gravity: 0.01,
+            damping: 0.8,
+            maxSpeed: 1,
+            padding: 1,
+            minEnergy: 0.0005,
+            maxIterations: 500,
+            ...options
+        };
+        
+        const spacing = this.options.linkDistance;
+        this.nodes = nodes.map((node, index) => {
+            const placed = node.x !== undefined && node.z !== undefined;
+            const angle = index * 2.399963; // Golden angle
+            const radius = spacing * Math.sqrt(index + 1);
+            
+            return {
+                ...node,
+                x: placed ? node.x : Math.cos(angle) * radius,
+                z: placed ? node.z : Math.sin(angle) * radius,
+                radius: Math.sqrt(node.width * node.width + node.depth * node.depth) / 2,
+                pinned: !!node.pinned,
+                vx: 0,
+                vz: 0
+            };
+        });
+        
+        const byKey = new Map(this.nodes.map(node => [node.key, node]));
+        const seen = new Set();
+        this.edges = [];
+        edges.forEach(([from, to]) => {
+            const edgeKey = [from, to].sort().join('\u0000');
+            if (from === to || !byKey.has(from) || !byKey.has(to) || seen.has(edgeKey)) return;
+            seen.add(edgeKey);
+            this.edges.push([byKey.get(from), byKey.get(to)]);
+        });
+        
+        // Pull toward the pinned nodes' centroid when there are any, else the origin
+        const pinned = this.nodes.filter(node => node.pinned);
+        this.center = pinned.length > 0
+            ? {
+                x: pinned.reduce((sum, node) => sum + node.x, 0) / pinned.length,
+                z: pinned.reduce((sum, node) => sum + node.z, 0) / pinned.length
+            }
+            : { x: 0, z: 0 };
+        
+        this.iteration = 0;
+        this.energy = Infinity;
+        this.settled = this.nodes.every(node => node.pinned);
+    }
+    
+    /**
+     * Advance the simulation one tick. Returns true while nodes are still moving.
+     */
+    step() {
+        if (this.settled) return false;
+        
+        const { repulsion, springStrength, linkDistance, gravity, damping, maxSpeed, padding } = this.options;
+        const forces = this.nodes.map(() => ({ x: 0, z: 0 }));
+        
+        for (let i = 0; i < this.nodes.length; i++) {
+            for (let j = i + 1; j < this.nodes.length; j++) {
+                const a = this.nodes[i];
+                const b = this.nodes[j];
+                let dx = b.x - a.x;
+                let dz = b.z - a.z;
+                let distance = Math.sqrt(dx * dx + dz * dz);
+                
+                if (distance < 0.001) {
+                    // Coincident nodes: separate along a fixed, index-based direction
+                    dx = Math.cos(i + j);
+                    dz = Math.sin(i + j);
+                    distance = 0.001;
+                } else {
+                    dx /= distance;
+                    dz /= distance;
+                }
+                
+                let force = repulsion / (distance * distance);
+                const minDistance = a.radius + b.radius + padding;
+                if (distance < minDistance) {
+                    force += (minDistance - distance) * 0.5;
+                }
+                
+                forces[i].x -= dx * force;
+                forces[i].z -= dz * force;
+                forces[j].x += dx * force;
+                forces[j].z += dz * force;
+            }
+        }
+        
+        this.edges.forEach(([a, b]) => {
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const distance = Math.max(Math.sqrt(dx * dx + dz * dz), 0.001);
+            const restLength = linkDistance + a.radius + b.radius;
+            const force = springStrength * (distance - restLength);
+            
+            const ia = this.nodes.indexOf(a);
+            const ib = this.nodes.indexOf(b);
+            forces[ia].x += (dx / distance) * force;
+            forces[ia].z += (dz / distance) * force;
+            forces[ib].x -= (dx / distance) * force;
+            forces[ib].z -= (dz / distance) * force;
+        });
+        
+        let energy = 0;
+        this.nodes.forEach((node, index) => {
+            if (node.pinned) return;
+            
+            forces[index].x += (this.center.x - node.x) * gravity;
+            forces[index].z += (this.center.z - node.z) * gravity;
+            
+            node.vx = (node.vx + forces[index].x) * damping;
+            node.vz = (node.vz + forces[index].z) * damping;
+            
+            const speed = Math.sqrt(node.vx * node.vx + node.vz * node.vz);
+            if (speed > maxSpeed) {
+                node.vx *= maxSpeed / speed;
+                node.vz *= maxSpeed / speed;
+            }
+            
+            node.x += node.vx;
+            node.z += node.vz;
+            energy += node.vx * node.vx + node.vz * node.vz;
+        });
+        
+        this.iteration++;
+        this.energy = energy;
+        this.settled = energy < this.options.minEnergy * this.nodes.length || 
+            this.iteration >= this.options.maxIterations;
+        return !this.settled;
+    }
+    
+    /**
+     * Step until the simulation settles
+     */
+    run() {
+        while (this.step()) {
+            // keep stepping
+        }
+        return this.getPositions();
+    }
+    
+    getPositions() {
+        return new Map(this.nodes.map(node => [node.key, { x: node.x, z: node.z }]));
+    }
+}
+
+/**
+ * Platform Layout - Positions a platform's components automatically.
+ *
+ * Platform config fields:
+ * - layout: 'grid' | 'row' | 'column' | 'circle'
+ * - gap: space between component footprints (default 0.5)
+ * - padding: space between components and the platform edge (default 0.5)
+ * - columns: grid column count (default ceil(sqrt(n)))
+ * - autoSize: size the platform's width/depth to fit its components
+ */
+class PlatformLayout {
+    /**
+     * Compute component positions centered on the platform.
+     * `footprints` are { width, depth } per component, in config order.
+     * Returns { positions: [{ x, z }], width, depth } where width/depth include padding.
+     */
+    static compute(platformData, footprints) {
+        const gap = platformData.gap !== undefined ? platformData.gap : 0.5;
+        const padding = platformData.padding !== undefined ? platformData.padding : 0.5;
+        const centerX = platformData.x || 0;
+        const centerZ = platformData.z || 0;
+        
+        const cellWidth = Math.max(0, ...footprints.map(footprint => footprint.width));
+        const cellDepth = Math.max(0, ...footprints.map(footprint => footprint.depth));
+        
+        let local;
+        switch (platformData.layout) {
+            case 'row':
+                local = this.computeGrid(footprints.length, footprints.length, cellWidth, cellDepth, gap);
+                break;
+            case 'column':
+                local = this.computeGrid(footprints.length, 1, cellWidth, cellDepth, gap);
+                break;
+            case 'circle':
+                local = this.computeCircle(footprints.length, cellWidth, cellDepth, gap);
+                break;
+            default: // 'grid'
+                local = this.computeGrid(
+                    footprints.length,
+                    platformData.columns || Math.ceil(Math.sqrt(footprints.length)),
+                    cellWidth, cellDepth, gap
+                );
+        }
+        
+        return {
+            positions: local.positions.map(position => ({
+                x: centerX + position.x,
+                z: centerZ + position.z
+            })),
+            width: local.width + padding * 2,
+            depth: local.depth + padding * 2
+        };
+    }
+    
+    /**
+     * Row-major grid, first component at the back-left (min x, min z)
+     */
+    static computeGrid(count, columns, cellWidth, cellDepth, gap) {
+        if (count === 0) {
+            return { positions: [], width: 0, depth: 0 };
+        }
+        
+        const cols = Math.max(1, Math.min(columns, count));
+        const rows = Math.ceil(count / cols);
+        const width = cols * cellWidth + (cols - 1) * gap;
+        const depth = rows * cellDepth + (rows - 1) * gap;
+        
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            positions.push({
+                x: -width / 2 + cellWidth / 2 + col * (cellWidth + gap),
+                z: -depth / 2 + cellDepth / 2 + row * (cellDepth + gap)
+            });
+        }
+        
+        return { positions, width, depth };
+    }
+    
+    /**
+     * Evenly spaced ring, with the radius large enough that neighbours don't touch
+     */
+    static computeCircle(count, cellWidth, cellDepth, gap) {
+        if (count <= 1) {
+            return {
+                positions: count === 1 ? [{ x: 0, z: 0 }] : [],
+                width: count === 1 ? cellWidth : 0,
+                depth: count === 1 ? cellDepth : 0
+            };
+        }
+        
+        const cell = Math.max(cellWidth, cellDepth);
+        const chord = cell + gap;
+        const radius = Math.max(chord / (2 * Math.sin(Math.PI / count)), chord / 2);
+        
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const angle = -Math.PI / 2 + (i / count) * Math.PI * 2;
+            positions.push({
+                x: Math.cos(angle) * radius,
+                z: Math.sin(angle) * radius
+            });
+        }
+        
+        return { positions, width: radius * 2 + cell, depth: radius * 2 + cell };
+    }
+}
+
+PlatformLayout.MODES = ['grid', 'row', 'column', 'circle'];
+
+/**
+ * Diagram Linter - Finds layout problems in a built diagram.
+ *
+ * Checks:
+ * - overlap: two elements' bounding boxes intersect (a component and its own platform excluded)
+ * - outside-platform: a component's footprint extends past its platform's edge
+ * - orphan: a component with no connections, directly or through its platform
+ * - connection-intersection: a connection curve passes through an element other than its endpoints
+ *
+ * Boxes are the elements' resting bounds (hover scaling and floating are ignored).
+ */
+class DiagramLinter {
+    static lint(diagram, options = {}) {
+        const {
+            checks = DiagramLinter.CHECKS,
+            tolerance = 0.01,
+            samples = 48
+        } = options;
+        
+        const elements = [...Object.values(diagram.platforms), ...diagram.components];
+        const boxes = new Map(elements.map(element => [element, this.getElementBox(element)]));
+        const connections = diagram.connectionManager.connections;
+        const issues = [];
+        
+        if (checks.includes('overlap')) {
+            issues.push(...this.checkOverlaps(elements, boxes, tolerance));
+        }
+        if (checks.includes('outside-platform')) {
+            issues.push(...this.checkOutsidePlatform(diagram, boxes, tolerance));
+        }
+        if (checks.includes('orphan')) {
+            issues.push(...this.checkOrphans(diagram, connections));
+        }
+        if (checks.includes('connection-intersection')) {
+            issues.push(...this.checkConnectionIntersections(diagram, connections, boxes, samples));
+        }
+        
+        const counts = {};
+        DiagramLinter.CHECKS.forEach(check => { counts[check] = 0; });
+        issues.forEach(issue => { counts[issue.type]++; });
+        
+        return {
+            ok: issues.every(issue => issue.severity !== 'error'),
+            issues,
+            counts
+        };
+    }
+    
+    /**
+     * World-space box from an element's unscaled size and resting position
+     */
+    static getElementBox(element) {
+        const size = element.userData.type === 'platform'
+            ? element.geometry.parameters
+            : ShapeRegistry.getBounds(element);
+        const center = element.userData.originalPosition || element.position;
+        
+        return new THREE.Box3().setFromCenterAndSize(
+            center.clone(),
+            new THREE.Vector3(size.width, size.height, size.depth)
+        );
+    }
+    
+    static checkOverlaps(elements, boxes, tolerance) {
+        const issues = [];
+        
+        for (let i = 0; i < elements.length; i++) {
+            for (let j = i + 1; j < elements.length; j++) {
+                const a = elements[i];
+                const b = elements[j];
+                if (this.isOwnPlatform(a, b) || this.isOwnPlatform(b, a)) continue;
+                
+                const boxA = boxes.get(a).clone().expandByScalar(-tolerance);
+                const boxB = boxes.get(b).clone().expandByScalar(-tolerance);
+                if (boxA.intersectsBox(boxB)) {
+                    issues.push({
+                        type: 'overlap',
+                        severity: 'error',
+                        elements: [a.userData.id, b.userData.id],
+                        message: `'${a.userData.name}' overlaps '${b.userData.name}'`
+                    });
+                }
+            }
+        }
+        
+        return issues;
+    }
+    
+    static checkOutsidePlatform(diagram, boxes, tolerance) {
+        const issues = [];
+        
+        diagram.components
+            .filter(component => component.userData.hasPlataform)
+            .forEach(component => {
+                const platform = diagram.platforms[component.userData.layer];
+                if (!platform) return;
+                
+                const box = boxes.get(component);
+                const platformBox = boxes.get(platform);
+                const outside = box.min.x < platformBox.min.x - tolerance ||
+                    box.max.x > platformBox.max.x + tolerance ||
+                    box.min.z < platformBox.min.z - tolerance ||
+                    box.max.z > platformBox.max.z + tolerance;
+                
+                if (outside) {
+                    issues.push({
+                        type: 'outside-platform',
+                        severity: 'error',
+                        elements: [component.userData.id, platform.userData.id],
+                        message: `'${component.userData.name}' extends past the edge of '${platform.userData.name}'`
+                    });
+                }
+            });
+        
+        return issues;
+    }
+    
+    static checkOrphans(diagram, connections) {
+        const connected = new Set();
+        connections.forEach(conn => {
+            connected.add(conn.fromElement);
+            connected.add(conn.toElement);
+        });
+        
+        return diagram.components
+            .filter(component => {
+                const platform = component.userData.hasPlataform ? diagram.platforms[component.userData.layer] : null;
+                return !connected.has(component) && !(platform && connected.has(platform));
+            })
+            .map(component => ({
+                type: 'orphan',
+                severity: 'warning',
+                elements: [component.userData.id],
+                message: `'${component.userData.name}' has no connections`
+            }));
+    }
+    
+    static checkConnectionIntersections(diagram, connections, boxes, samples) {
+        const issues = [];
+        
+        connections.forEach(conn => {
+            const radius = conn.options.tubeRadius || 0;
+            const ignored = new Set([
+                ...diagram.getAttachedElements(conn.fromElement),
+                ...diagram.getAttachedElements(conn.toElement)
+            ]);
+            
+            const points = conn.curve.getSpacedPoints(samples).slice(1, -1);
+            
+            boxes.forEach((box, element) => {
+                if (ignored.has(element)) return;
+                
+                const expanded = box.clone().expandByScalar(radius);
+                if (points.some(point => expanded.containsPoint(point))) {
+                    issues.push({
+                        type: 'connection-intersection',
+                        severity: 'warning',
+                        elements: [element.userData.id],
+                        connectionId: conn.id,
+                        from: conn.fromElement.userData.id,
+                        to: conn.toElement.userData.id,
+                        message: `Connection '${conn.fromElement.userData.name}' → '${conn.toElement.userData.name}' passes through '${element.userData.name}'`
+                    });
+                }
+            });
+        });
+        
+        return issues;
+    }
+    
+    static isOwnPlatform(platform, component) {
+        return platform.userData.type === 'platform' &&
+            component.userData.type === 'component' &&
+            component.userData.hasPlataform &&
+            component.userData.layer === platform.userData.layer;
+    }
+}
+
+DiagramLinter.CHECKS = ['overlap', 'outside-platform', 'orphan', 'connection-intersection'];
+DiagramLinter.SEVERITY_COLORS = { error: 0xef4444, warning: 0xf59e0b };
+
+/**
+ * Diagram Validation Error - Thrown in strict mode when a config has errors
+ */
+class DiagramValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid diagram config:\n${errors.map(error => `  - ${error.path}: ${error.message}`).join('\n')}`);
+        this.name = 'DiagramValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Diagram Validator - Checks data/connections configs and reports path-precise problems
+ */
+class DiagramValidator {
+    /**
+     * Validate a diagram config ({ data, connections }).
+     * Returns { valid, errors, warnings }, each issue being { path, message }.
+     * With `strict: true` a DiagramValidationError is thrown when errors are found.
+     */
+    static validate(config, options = {}) {
+        const report = { errors: [], warnings: [] };
+        const context = {
+            report,
+            ids: new Map(),
+            derivedIds: [],
+            componentNames: [],
+            platformLayers: [],
+            layers: [],
+            statuses: [],
+            connectionIds: new Map()
+        };
+        
+        if (!config || typeof config !== 'object') {
+            this.error(report, 'config', 'must be an object');
+        } else {
+            const healthStates = config.options && this.isPlainObject(config.options.healthStates)
+                ? config.options.healthStates
+                : {};
+            context.statuses = [
+                ...new Set([...Object.keys(Diagram3D.HEALTH_STATES), ...Object.keys(healthStates)])
+            ].concat(Object.keys(Diagram3D.STATUS_ALIASES));
+            
+            this.validateData(config.data, context);
+            this.validateOptions(config.options, context);
+            
+            // Ids Diagram3D will derive for elements without an explicit one
+            if (this.isPlainObject(config.data)) {
+                Diagram3D.deriveElementIds(config.data).forEach((id, elementData) => {
+                    if (elementData.id === undefined) context.derivedIds.push(id);
+                });
+            }
+            
+            this.validateConnections(config.connections, context);
+            this.validateTour(config.tour, context);
+        }
+        
+        report.valid = report.errors.length === 0;
+        
+        if (options.strict && !report.valid) {
+            throw new DiagramValidationError(report.errors);
+        }
+        
+        return report;
+    }
+    
+    static validateData(data, context) {
+        const { report } = context;
+        
+        if (data === undefined) return;
+        if (!this.isPlainObject(data)) {
+            this.error(report, 'data', 'must be an object mapping layer names to { platform, components }');
+            return;
+        }
+        
+        Object.entries(data).forEach(([layerName, layerData]) => {
+            const path = `data.${layerName}`;
+            context.layers.push(layerName);
+            
+            if (!this.isPlainObject(layerData)) {
+                this.error(report, path, 'must be an object with platform and components');
+                return;
+            }
+            
+            if (layerData.platform !== null && layerData.platform !== undefined) {
+                this.validatePlatform(layerData.platform, `${path}.platform`, context);
+                context.platformLayers.push(layerName);
+            }
+            
+            if (layerData.components !== undefined) {
+                if (!Array.isArray(layerData.components)) {
+                    this.error(report, `${path}.components`, 'must be an array');
+                } else {
+                    layerData.components.forEach((comp, index) => {
+                        this.validateComponent(comp, `${path}.components[${index}]`, context);
+                    });
+                }
+            }
+        });
+    }
+    
+    static validatePlatform(platform, path, context) {
+        const { report } = context;
+        
+        if (!this.isPlainObject(platform)) {
+            this.error(report, path, 'must be an object or null');
+            return;
+        }
+        
+        this.validateId(platform.id, path, context);
+        ['x', 'y', 'z'].forEach(key => this.validateNumber(platform[key], `${path}.${key}`, report));
+        
+        if (platform.layout !== undefined && !PlatformLayout.MODES.includes(platform.layout)) {
+            this.error(report, `${path}.layout`, `must be one of ${PlatformLayout.MODES.join(', ')}${this.suggest(platform.layout, PlatformLayout.MODES)}`);
+        }
+        this.validateNumber(platform.gap, `${path}.gap`, report, { min: 0 });
+        this.validateNumber(platform.padding, `${path}.padding`, report, { min: 0 });
+        this.validateNumber(platform.columns, `${path}.columns`, report, { positive: true });
+        this.validateBoolean(platform.pinned, `${path}.pinned`, report);
+        this.validateStatus(platform.status, path, context);
+        
+        this.validateBoolean(platform.autoSize, `${path}.autoSize`, report);
+        if (platform.autoSize === true && !platform.layout) {
+            this.warn(report, `${path}.autoSize`, 'has no effect without a layout');
+        }
+        
+        const autoSized = platform.autoSize && platform.layout;
+        [['width', 4], ['depth', 4], ['height', 0.5]].forEach(([key, fallback]) => {
+            if (platform[key] === undefined) {
+                if (autoSized && key !== 'height') return;
+                this.warn(report, `${path}.${key}`, `missing, defaults to ${fallback}`);
+            } else {
+                this.validateNumber(platform[key], `${path}.${key}`, report, { positive: true });
+            }
+        });
+    }
+    
+    static validateComponent(comp, path, context) {
+        const { report } = context;
+        
+        if (!this.isPlainObject(comp)) {
+            this.error(report, path, 'must be an object');
+            return;
+        }
+        
+        if (typeof comp.name !== 'string' || comp.name.trim() === '') {
+            this.error(report, `${path}.name`, 'is required and must be a non-empty string');
+        } else {
+            if (context.componentNames.includes(comp.name)) {
+                this.warn(report, `${path}.name`, `duplicate component name '${comp.name}'; connections by name will match the first one`);
+            }
+            context.componentNames.push(comp.name);
+        }
+        
+        this.validateId(comp.id, path, context);
+        ['x', 'y', 'z'].forEach(key => this.validateNumber(comp[key], `${path}.${key}`, report));
+        this.validateNumber(comp.size, `${path}.size`, report, { positive: true });
+        this.validateColor(comp.color, `${path}.color`, report);
+        this.validateBoolean(comp.pinned, `${path}.pinned`, report);
+        this.validateStatus(comp.status, path, context);
+        
+        if (comp.shape !== undefined && !ShapeRegistry.has(comp.shape)) {
+            const shapes = ShapeRegistry.names();
+            this.error(report, `${path}.shape`, `unknown shape '${comp.shape}', expected one of ${shapes.join(', ')}${this.suggest(comp.shape, shapes)}`);
+        }
+    }
+    
+    static validateStatus(status, path, context) {
+        if (status !== undefined && !context.statuses.includes(status)) {
+            this.error(context.report, `${path}.status`, `unknown status '${status}', expected one of ${context.statuses.join(', ')}${this.suggest(status, context.statuses)}`);
+        }
+    }
+    
+    static validateOptions(options, context) {
+        if (options === undefined || !this.isPlainObject(options)) return;
+        
+        this.validateAutoLayout(options.autoLayout, context);
+        this.validateEdgeBundling(options.edgeBundling, context);
+        this.validateBoolean(options.showLabels, 'options.showLabels', context.report);
+        this.validateBoolean(options.autoFit, 'options.autoFit', context.report);
+        this.validateHealthStates(options.healthStates, context);
+        this.validateCameraControls(options.cameraControls, context);
+        this.validateProjection(options.projection, 'options.projection', context.report);
+    }
+    
+    static validateCameraControls(controls, context) {
+        if (controls === undefined || typeof controls === 'boolean') return;
+        
+        const path = 'options.cameraControls';
+        const { report } = context;
+        if (!this.isPlainObject(controls)) {
+            this.error(report, path, 'must be a boolean or a settings object');
+            return;
+        }
+        
+        ['zoom', 'pan', 'rotate', 'snap'].forEach(key => this.validateBoolean(controls[key], `${path}.${key}`, report));
+        this.validateNumber(controls.minZoom, `${path}.minZoom`, report, { positive: true });
+        this.validateNumber(controls.maxZoom, `${path}.maxZoom`, report, { positive: true });
+        this.validateNumber(controls.zoomSpeed, `${path}.zoomSpeed`, report, { positive: true });
+        this.validateNumber(controls.rotateSpeed, `${path}.rotateSpeed`, report, { positive: true });
+        
+        if (typeof controls.minZoom === 'number' && typeof controls.maxZoom === 'number' && controls.minZoom > controls.maxZoom) {
+            this.error(report, `${path}.minZoom`, `must not exceed maxZoom (${controls.maxZoom})`);
+        }
+        if (controls.snapAngles !== undefined && controls.snapAngles !== null &&
+            (!Array.isArray(controls.snapAngles) || !controls.snapAngles.every(Number.isFinite))) {
+            this.error(report, `${path}.snapAngles`, 'must be an array of angles in degrees');
+        }
+        if (controls.azimuthLimits !== undefined && controls.azimuthLimits !== null) {
+            const limits = controls.azimuthLimits;
+            if (!Array.isArray(limits) || limits.length !== 2 || !limits.every(Number.isFinite) || limits[0] > limits[1]) {
+                this.error(report, `${path}.azimuthLimits`, 'must be a [min, max] pair of angles in degrees');
+            }
+        }
+    }
+    
+    static validateHealthStates(healthStates, context) {
+        if (healthStates === undefined) return;
+        
+        const path = 'options.healthStates';
+        if (!this.isPlainObject(healthStates)) {
+            this.error(context.report, path, 'must be an object of { color, pulse, icon } presets by state name');
+            return;
+        }
+        
+        Object.entries(healthStates).forEach(([name, preset]) => {
+            const statePath = `${path}.${name}`;
+            if (!this.isPlainObject(preset)) {
+                this.error(context.report, statePath, 'must be an object like { color, pulse, icon }');
+                return;
+            }
+            
+            if (preset.color !== null) {
+                this.validateColor(preset.color, `${statePath}.color`, context.report);
+            }
+            this.validateBoolean(preset.pulse, `${statePath}.pulse`, context.report);
+            if (preset.icon !== undefined && preset.icon !== null && typeof preset.icon !== 'string') {
+                this.error(context.report, `${statePath}.icon`, 'must be a short string or null');
+            }
+        });
+    }
+    
+    static validateEdgeBundling(bundling, context) {
+        if (bundling === undefined || typeof bundling === 'boolean') return;
+        
+        const path = 'options.edgeBundling';
+        if (!this.isPlainObject(bundling)) {
+            this.error(context.report, path, 'must be a boolean or a settings object');
+            return;
+        }
+        
+        this.validateNumber(bundling.distance, `${path}.distance`, context.report, { positive: true });
+        this.validateNumber(bundling.strength, `${path}.strength`, context.report, { min: 0, max: 1 });
+        this.validateNumber(bundling.fanOut, `${path}.fanOut`, context.report, { min: 0, max: 0.5 });
+        this.validateNumber(bundling.minSize, `${path}.minSize`, context.report, { min: 2 });
+        this.validateNumber(bundling.samples, `${path}.samples`, context.report, { min: 2 });
+        this.validateBoolean(bundling.unbundleOnHover, `${path}.unbundleOnHover`, context.report);
+    }
+    
+    static validateAutoLayout(autoLayout, context) {
+        if (autoLayout === undefined || autoLayout === false || autoLayout === null) return;
+        
+        const type = typeof autoLayout === 'string' ? autoLayout : autoLayout.type;
+        if (!Diagram3D.AUTO_LAYOUT_TYPES.includes(type)) {
+            this.error(context.report, 'options.autoLayout', `type must be one of ${Diagram3D.AUTO_LAYOUT_TYPES.join(', ')}${this.suggest(type, Diagram3D.AUTO_LAYOUT_TYPES)}`);
+            return;
+        }
+        
+        if (this.isPlainObject(autoLayout)) {
+            if (autoLayout.direction !== undefined && !LayeredLayout.DIRECTIONS.includes(autoLayout.direction)) {
+                this.error(context.report, 'options.autoLayout.direction', `must be one of ${LayeredLayout.DIRECTIONS.join(', ')}${this.suggest(autoLayout.direction, LayeredLayout.DIRECTIONS)}`);
+            }
+            this.validateNumber(autoLayout.rankGap, 'options.autoLayout.rankGap', context.report, { min: 0 });
+            this.validateNumber(autoLayout.nodeGap, 'options.autoLayout.nodeGap', context.report, { min: 0 });
+            this.validateNumber(autoLayout.rerouteDistance, 'options.autoLayout.rerouteDistance', context.report, { min: 0 });
+        }
+    }
+    
+    static validateConnections(connections, context) {
+        const { report } = context;
+        
+        if (connections === undefined) return;
+        if (!Array.isArray(connections)) {
+            this.error(report, 'connections', 'must be an array');
+            return;
+        }
+        
+        const connectionIds = context.connectionIds;
+        connections.forEach((conn, index) => {
+            const path = `connections[${index}]`;
+            
+            if (!this.isPlainObject(conn)) {
+                this.error(report, path, 'must be an object with from and to');
+                return;
+            }
+            
+            this.validateConnectionId(conn.id, path, context, connectionIds);
+            this.validateEndpoint(conn.from, `${path}.from`, context);
+            this.validateEndpoint(conn.to, `${path}.to`, context);
+            
+            if (conn.options !== undefined) {
+                this.validateConnectionOptions(conn.options, `${path}.options`, report);
+            }
+        });
+    }
+    
+    /**
+     * Connection ids share the live-update namespace with element ids, so they must not
+     * collide with each other or with any platform/component id
+     */
+    static validateConnectionId(id, path, context, connectionIds) {
+        if (id === undefined) return;
+        
+        if (typeof id !== 'string' && typeof id !== 'number') {
+            this.error(context.report, `${path}.id`, 'must be a string or number');
+            return;
+        }
+        
+        const key = String(id);
+        if (connectionIds.has(key)) {
+            this.error(context.report, `${path}.id`, `duplicate id '${key}' (already used by ${connectionIds.get(key)})`);
+        } else if (context.ids.has(key) || context.derivedIds.includes(key)) {
+            this.error(context.report, `${path}.id`, `'${key}' is already the id of a platform or component`);
+        } else {
+            connectionIds.set(key, path);
+        }
+    }
+    
+    static validateTour(tour, context) {
+        const { report } = context;
+        
+        if (tour === undefined || tour === null) return;
+        if (!Array.isArray(tour) && !this.isPlainObject(tour)) {
+            this.error(report, 'tour', 'must be an object with steps or an array of steps');
+            return;
+        }
+        
+        const steps = Array.isArray(tour) ? tour : tour.steps;
+        if (!Array.isArray(steps) || steps.length === 0) {
+            this.error(report, Array.isArray(tour) ? 'tour' : 'tour.steps', 'must be a non-empty array of steps');
+            return;
+        }
+        
+        if (!Array.isArray(tour)) {
+            ['autoplay', 'autostart', 'loop', 'showControls'].forEach(key => {
+                this.validateBoolean(tour[key], `tour.${key}`, report);
+            });
+            this.validateNumber(tour.interval, 'tour.interval', report, { positive: true });
+            this.validateNumber(tour.dimOpacity, 'tour.dimOpacity', report, { min: 0, max: 1 });
+        }
+        
+        const knownIds = [...context.ids.keys(), ...context.derivedIds, ...context.connectionIds.keys()];
+        steps.forEach((step, index) => {
+            const path = Array.isArray(tour) ? `tour[${index}]` : `tour.steps[${index}]`;
+            
+            if (!this.isPlainObject(step)) {
+                this.error(report, path, 'must be an object');
+                return;
+            }
+            
+            this.validateTourCamera(step.camera, `${path}.camera`, report);
+            this.validateNumber(step.duration, `${path}.duration`, report, { positive: true });
+            this.validateBoolean(step.dim, `${path}.dim`, report);
+            
+            if (step.highlight !== undefined) {
+                if (!Array.isArray(step.highlight)) {
+                    this.error(report, `${path}.highlight`, 'must be an array of element or connection ids');
+                } else {
+                    step.highlight.forEach((id, idIndex) => {
+                        if (!knownIds.includes(String(id))) {
+                            this.error(report, `${path}.highlight[${idIndex}]`, `id '${id}' not found${this.suggest(String(id), knownIds)}`);
+                        }
+                    });
+                }
+            }
+        });
+    }
+    
+    static validateTourCamera(camera, path, report) {
+        if (camera === undefined) return;
+        
+        if (typeof camera === 'string') {
+            const views = SceneManager.getViewNames();
+            if (!views.includes(camera)) {
+                this.error(report, path, `unknown view '${camera}', expected one of ${views.join(', ')}`);
+            }
+            return;
+        }
+        
+        if (!this.isPlainObject(camera)) {
+            this.error(report, path, 'must be a view name or { position, target, zoom }');
+            return;
+        }
+        
+        ['position', 'target'].forEach(key => {
+            const vector = camera[key];
+            if (!Array.isArray(vector) || vector.length !== 3 || !vector.every(Number.isFinite)) {
+                this.error(report, `${path}.${key}`, 'must be an [x, y, z] array of numbers');
+            }
+        });
+        this.validateNumber(camera.zoom, `${path}.zoom`, report, { positive: true });
+        if (camera.projection !== null) {
+            this.validateProjection(camera.projection, `${path}.projection`, report);
+        }
+    }
+    
+    static validateProjection(projection, path, report) {
+        if (projection === undefined || projection === null) return;
+        
+        const presets = Object.keys(SceneManager.PROJECTIONS);
+        if (typeof projection === 'string') {
+            if (!presets.includes(projection)) {
+                this.error(report, path, `unknown projection '${projection}', expected one of ${presets.join(', ')}`);
+            }
+            return;
+        }
+        if (!this.isPlainObject(projection)) {
+            this.error(report, path, `must be a preset name (${presets.join(', ')}) or a projection object`);
+            return;
+        }
+        
+        const type = projection.type === undefined ? 'axonometric' : projection.type;
+        if (type === 'oblique') {
+            this.validateNumber(projection.angle, `${path}.angle`, report);
+            this.validateNumber(projection.depthScale, `${path}.depthScale`, report, { positive: true });
+            this.validateNumber(projection.azimuth, `${path}.azimuth`, report);
+        } else if (type !== 'axonometric') {
+            this.error(report, `${path}.type`, `must be 'axonometric' or 'oblique', got ${JSON.stringify(type)}`);
+        } else if (projection.axisAngles !== undefined) {
+            const angles = projection.axisAngles;
+            if (!Array.isArray(angles) || angles.length !== 2 || !angles.every(Number.isFinite)) {
+                this.error(report, `${path}.axisAngles`, 'must be an [x, z] pair of angles in degrees');
+            } else if (!(angles[0] > 0 && angles[1] > 0 && angles[0] + angles[1] < 90)) {
+                this.error(report, `${path}.axisAngles`, `must be positive and add up to less than 90°, got [${angles.join(', ')}]`);
+            }
+        } else if (projection.azimuth === undefined || projection.elevation === undefined) {
+            this.error(report, path, 'needs axisAngles, or an azimuth and an elevation');
+        } else {
+            this.validateNumber(projection.azimuth, `${path}.azimuth`, report);
+            this.validateNumber(projection.elevation, `${path}.elevation`, report, { min: -89.9, max: 89.9 });
+        }
+    }
+    
+    static validateEndpoint(endpoint, path, context) {
+        const { report } = context;
+        
+        if (endpoint === undefined || endpoint === null) {
+            this.error(report, path, 'is required');
+            return;
+        }
+        
+        if (typeof endpoint === 'string' || endpoint.id !== undefined) {
+            const id = String(typeof endpoint === 'string' ? endpoint : endpoint.id);
+            if (!context.ids.has(id) && !context.derivedIds.includes(id)) {
+                const knownIds = [...context.ids.keys(), ...context.derivedIds];
+                this.error(report, path, `element id '${id}' not found${this.suggest(id, knownIds)}`);
+            }
+            return;
+        }
+        
+        if (endpoint.type === 'platform') {
+            if (!context.platformLayers.includes(endpoint.layer)) {
+                const reason = context.layers.includes(endpoint.layer)
+                    ? `layer '${endpoint.layer}' has no platform`
+                    : `platform layer '${endpoint.layer}' not found${this.suggest(endpoint.layer, context.platformLayers)}`;
+                this.error(report, path, reason);
+            }
+        } else if (endpoint.type === 'component') {
+            if (endpoint.name === undefined && endpoint.layer === undefined) {
+                this.error(report, path, 'component endpoints need a name, layer or id');
+            } else if (endpoint.name !== undefined && !context.componentNames.includes(endpoint.name)) {
+                this.error(report, path, `component '${endpoint.name}' not found${this.suggest(endpoint.name, context.componentNames)}`);
+            } else if (endpoint.name === undefined && !context.layers.includes(endpoint.layer)) {
+                this.error(report, path, `layer '${endpoint.layer}' not found${this.suggest(endpoint.layer, context.layers)}`);
+            }
+        } else {
+            this.error(report, `${path}.type`, `must be 'platform' or 'component', got ${JSON.stringify(endpoint.type)}`);
+        }
+    }
+    
+    static validateConnectionOptions(options, path, report) {
+        if (!this.isPlainObject(options)) {
+            this.error(report, path, 'must be an object');
+            return;
+        }
+        
+        if (options.curveType !== undefined && !DiagramValidator.CURVE_TYPES.includes(options.curveType)) {
+            this.error(report, `${path}.curveType`, `must be one of ${DiagramValidator.CURVE_TYPES.join(', ')}${this.suggest(options.curveType, DiagramValidator.CURVE_TYPES)}`);
+        }
+        if (options.direction !== undefined && !ConnectionManager.DIRECTIONS.includes(options.direction)) {
+            this.error(report, `${path}.direction`, `must be one of ${ConnectionManager.DIRECTIONS.join(', ')}${this.suggest(options.direction, ConnectionManager.DIRECTIONS)}`);
+        }
+        
+        const kinds = Object.keys(ConnectionManager.KIND_PRESETS);
+        if (options.kind !== undefined && !kinds.includes(options.kind)) {
+            this.error(report, `${path}.kind`, `must be one of ${kinds.join(', ')}${this.suggest(options.kind, kinds)}`);
+        }
+        
+        this.validateBoolean(options.dashed, `${path}.dashed`, report);
+        this.validateNumber(options.dashSize, `${path}.dashSize`, report, { positive: true });
+        this.validateNumber(options.gapSize, `${path}.gapSize`, report, { min: 0 });
+        if (options.dashPattern !== undefined && !ConnectionManager.DASH_PATTERNS.includes(options.dashPattern)) {
+            this.error(report, `${path}.dashPattern`, `must be one of ${ConnectionManager.DASH_PATTERNS.join(', ')}${this.suggest(options.dashPattern, ConnectionManager.DASH_PATTERNS)}`);
+        }
+        if (typeof options.dashScroll !== 'boolean') {
+            this.validateNumber(options.dashScroll, `${path}.dashScroll`, report, { min: 0 });
+        }
+        
+        this.validateColor(options.color, `${path}.color`, report);
+        this.validateColor(options.arrowColor, `${path}.arrowColor`, report);
+        this.validateNumber(options.opacity, `${path}.opacity`, report, { min: 0, max: 1 });
+        this.validateNumber(options.tubeRadius, `${path}.tubeRadius`, report, { positive: true });
+        this.validateNumber(options.cornerRadius, `${path}.cornerRadius`, report, { min: 0 });
+        this.validateNumber(options.routingMargin, `${path}.routingMargin`, report, { min: 0 });
+        
+        if (options.label !== undefined && typeof options.label !== 'string' && typeof options.label !== 'number') {
+            this.error(report, `${path}.label`, `must be a string, got ${JSON.stringify(options.label)}`);
+        }
+        this.validateNumber(options.labelPosition, `${path}.labelPosition`, report, { min: 0, max: 1 });
+        this.validateNumber(options.labelFontSize, `${path}.labelFontSize`, report, { positive: true });
+        this.validateColor(options.labelColor, `${path}.labelColor`, report);
+        this.validateColor(options.labelBackground, `${path}.labelBackground`, report);
+        
+        this.validateMetrics(options.metrics, `${path}.metrics`, report);
+        this.validateBindings(options.bindings, `${path}.bindings`, report);
+    }
+    
+    static validateMetrics(metrics, path, report) {
+        if (metrics === undefined) return;
+        if (!this.isPlainObject(metrics)) {
+            this.error(report, path, 'must be an object of metric values');
+            return;
+        }
+        
+        Object.entries(metrics).forEach(([name, value]) => {
+            this.validateNumber(value, `${path}.${name}`, report);
+        });
+    }
+    
+    static validateBindings(bindings, path, report) {
+        if (bindings === undefined) return;
+        if (!this.isPlainObject(bindings)) {
+            this.error(report, path, 'must be an object');
+            return;
+        }
+        
+        const properties = Object.keys(ConnectionManager.METRIC_BINDINGS);
+        Object.entries(bindings).forEach(([property, binding]) => {
+            const bindingPath = `${path}.${property}`;
+            
+            if (!properties.includes(property)) {
+                this.error(report, bindingPath, `cannot be bound; bindable properties are ${properties.join(', ')}${this.suggest(property, properties)}`);
+                return;
+            }
+            if (!this.isPlainObject(binding)) {
+                this.error(report, bindingPath, 'must be an object like { metric, scale, min, max, range }');
+                return;
+            }
+            
+            if (typeof binding.metric !== 'string' || binding.metric === '') {
+                this.error(report, `${bindingPath}.metric`, 'is required and must be a metric name');
+            }
+            if (binding.scale !== undefined && !ConnectionManager.METRIC_SCALES.includes(binding.scale)) {
+                this.error(report, `${bindingPath}.scale`, `must be one of ${ConnectionManager.METRIC_SCALES.join(', ')}${this.suggest(binding.scale, ConnectionManager.METRIC_SCALES)}`);
+            }
+            
+            this.validateNumber(binding.min, `${bindingPath}.min`, report, binding.scale === 'log' ? { positive: true } : {});
+            if (binding.max === undefined) {
+                this.error(report, `${bindingPath}.max`, 'is required: the metric value that maps to the top of the range');
+            } else {
+                this.validateNumber(binding.max, `${bindingPath}.max`, report);
+            }
+            
+            const min = binding.min !== undefined ? binding.min : ConnectionManager.getDefaultMetricMin(binding.scale);
+            if (typeof min === 'number' && typeof binding.max === 'number' && binding.max <= min) {
+                this.error(report, `${bindingPath}.max`, `must be greater than min (${min})`);
+            }
+            
+            if (binding.range !== undefined && 
+                (!Array.isArray(binding.range) || binding.range.length !== 2 || !binding.range.every(Number.isFinite))) {
+                this.error(report, `${bindingPath}.range`, 'must be an array of two numbers [low, high]');
+            }
+        });
+    }
+    
+    static validateId(id, path, context) {
+        if (id === undefined) return;
+        
+        if (typeof id !== 'string' && typeof id !== 'number') {
+            this.error(context.report, `${path}.id`, 'must be a string or number');
+            return;
+        }
+        
+        const key = String(id);
+        if (context.ids.has(key)) {
+            this.error(context.report, `${path}.id`, `duplicate id '${key}' (already used by ${context.ids.get(key)})`);
+        } else {
+            context.ids.set(key, path);
+        }
+    }
+    
+    static validateNumber(value, path, report, constraints = {}) {
+        if (value === undefined) return;
+        
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.error(report, path, `must be a finite number, got ${JSON.stringify(value)}`);
+        } else if (constraints.positive && value <= 0) {
+            this.error(report, path, `must be greater than 0, got ${value}`);
+        } else if (constraints.min !== undefined && value < constraints.min) {
+            this.error(report, path, `must be at least ${constraints.min}, got ${value}`);
+        } else if (constraints.max !== undefined && value > constraints.max) {
+            this.error(report, path, `must be at most ${constraints.max}, got ${value}`);
+        }
+    }
+    
+    static validateBoolean(value, path, report) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            this.error(report, path, `must be a boolean, got ${JSON.stringify(value)}`);
+        }
+    }
+    
+    static validateColor(value, path, report) {
+        if (value === undefined) return;
+        
+        if (typeof value !== 'number' && typeof value !== 'string') {
+            this.error(report, path, `must be a hex number (0x3b82f6) or CSS color string, got ${JSON.stringify(value)}`);
+        }
+    }
+    
+    /**
+     * Build a "; did you mean 'X'?" hint from the closest candidate, if any is close enough
+     */
+    static suggest(value, candidates) {
+        if (typeof value !== 'string' || candidates.length === 0) return '';
+        
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = this.levenshtein(value.toLowerCase(), String(candidate).toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        
+        const threshold = Math.max(2, Math.floor(value.length / 3));
+        return bestDistance <= threshold ? `; did you mean '${best}'?` : '';
+    }
+    
+    static levenshtein(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = a[i - 1] === b[j - 1]
+                    ? previous
+                    : Math.min(previous, row[j - 1], row[j]) + 1;
+                previous = current;
+            }
+        }
+        
+        return row[b.length];
+    }
+    
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    static error(report, path, message) {
+        report.errors.push({ path, message });
+    }
+    
+    static warn(report, path, message) {
+        report.warnings.push({ path, message });
+    }
+}
+
+DiagramValidator.CURVE_TYPES = ['architectural', 'smooth', 'sharp', 'orthogonal'];
+
+/**
+ * Standalone validation entry point, see DiagramValidator.validate()
+ */
+function validateDiagramConfig(config, options = {}) {
+    return DiagramValidator.validate(config, options);
+}
+
+/**
+ * Live Data Source - Subscribes to a WebSocket or Server-Sent Events endpoint and feeds
+ * its messages ({ id, status, metrics }, or an array of them) into a diagram
+ */
+class LiveDataSource {
+    constructor(diagram, options = {}) {
+        if (!options.url) {
+            throw new Error('LiveDataSource requires a url');
+        }
+        
+        this.diagram = diagram;
+        this.options = {
+            type: /^wss?:/.test(options.url) ? 'websocket' : 'sse',
+            eventName: 'message',
+            reconnect: true,
+            reconnectDelay: 2000,
+            parse: data => JSON.parse(data),
+            ...options
+        };
+        
+        this.connection = null;
+        this.reconnectTimeout = null;
+        this.closed = true;
+    }
+    
+    connect() {
+        const { type, url, eventName } = this.options;
+        this.closed = false;
+        
+        if (type === 'websocket') {
+            this.connection = new WebSocket(url);
+            this.connection.onmessage = event => this.handleMessage(event.data);
+            this.connection.onclose = () => this.scheduleReconnect();
+        } else if (type === 'sse') {
+            this.connection = new EventSource(url);
+            this.connection.addEventListener(eventName, event => this.handleMessage(event.data));
+            // EventSource retries by itself unless the server refuses the stream
+            this.connection.onerror = () => {
+                if (this.connection.readyState === EventSource.CLOSED) {
+                    this.scheduleReconnect();
+                }
+            };
+        } else {
+            throw new Error(`Unknown live data source type '${type}', expected 'websocket' or 'sse'`);
+        }
+        
+        return this;
+    }
+    
+    handleMessage(data) {
+        let message;
+        try {
+            message = this.options.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed live update:', data);
+            return;
+        }
+        
+        const updates = Array.isArray(message) ? message : [message];
+        updates.forEach(update => this.diagram.applyStatusUpdate(update));
+    }
+    
+    scheduleReconnect() {
+        if (this.closed || !this.options.reconnect) return;
+        
+        console.warn(`Live data source ${this.options.url} disconnected, retrying in ${this.options.reconnectDelay}ms`);
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = setTimeout(() => {
+            this.disconnectTransport();
+            this.connect();
+        }, this.options.reconnectDelay);
+    }
+    
+    disconnectTransport() {
+        if (this.connection) {
+            this.connection.onclose = null;
+            this.connection.onerror = null;
+            this.connection.close();
+            this.connection = null;
+        }
+    }
+    
+    disconnect() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimeout);
+        this.disconnectTransport();
+    }
+}
+
+/**
+ * Timeline Player - Replays a recorded series of status/metric snapshots through the
+ * same update path as live data. Series format:
+ * { frames: [{ time, updates: [{ id, status, metrics }] }] } (or just the frames array),
+ * where time is a number or a date string.
+ */
+class TimelinePlayer {
+    constructor(diagram, series, options = {}) {
+        this.diagram = diagram;
+        this.options = {
+            duration: 20000, // Playback length of the whole series at 1x, in ms
+            speed: 1,
+            loop: false,
+            interpolate: true,
+            ...options
+        };
+        
+        const rawFrames = Array.isArray(series) ? series : (series && series.frames) || [];
+        const frames = rawFrames
+            .map(frame => ({ time: TimelinePlayer.parseTime(frame.time), updates: frame.updates || [] }))
+            .filter(frame => Number.isFinite(frame.time))
+            .sort((a, b) => a.time - b.time);
+        
+        if (frames.length === 0) {
+            throw new Error('Timeline has no frames with a valid time');
+        }
+        
+        this.usesDates = rawFrames.some(frame => typeof frame.time === 'string');
+        this.startTime = frames[0].time;
+        this.endTime = frames[frames.length - 1].time;
+        this.tracks = this.buildTracks(frames);
+        
+        this.currentTime = this.startTime;
+        this.playing = false;
+        this.lastTick = null;
+        this.appliedStates = new Map();  // id → last { status, metrics } sent to the diagram
+        this.listeners = [];
+    }
+    
+    static parseTime(time) {
+        return typeof time === 'string' ? Date.parse(time) : time;
+    }
+    
+    /**
+     * Group updates into per-id keyframes. Status and metrics carry forward, so every
+     * keyframe holds the full state of its element or connection at that time.
+     */
+    buildTracks(frames) {
+        const tracks = new Map();
+        
+        frames.forEach(frame => frame.updates.forEach(update => {
+            if (!update || update.id === undefined) return;
+            
+            const id = String(update.id);
+            if (!tracks.has(id)) tracks.set(id, []);
+            
+            const keyframes = tracks.get(id);
+            const previous = keyframes[keyframes.length - 1];
+            keyframes.push({
+                time: frame.time,
+                status: update.status !== undefined ? update.status : previous && previous.status,
+                metrics: { ...(previous && previous.metrics), ...update.metrics }
+            });
+        }));
+        
+        // Drop ids the diagram doesn't know about once, instead of warning every frame
+        const connectionIds = new Set(this.diagram.connectionManager.connections.map(conn => conn.id));
+        Array.from(tracks.keys()).forEach(id => {
+            if (!this.diagram.findElementById(id) && !connectionIds.has(id)) {
+                console.warn(`Timeline references unknown id '${id}'`);
+                tracks.delete(id);
+            }
+        });
+        
+        return tracks;
+    }
+    
+    play() {
+        if (this.currentTime >= this.endTime) {
+            this.currentTime = this.startTime;
+        }
+        this.playing = true;
+        this.lastTick = null;
+        this.notify();
+    }
+    
+    pause() {
+        this.playing = false;
+        this.notify();
+    }
+    
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playing;
+    }
+    
+    setSpeed(speed) {
+        if (!(speed > 0)) {
+            console.warn(`Ignoring timeline speed ${speed}, expected a positive number`);
+            return;
+        }
+        this.options.speed = speed;
+        this.notify();
+    }
+    
+    /**
+     * Jump to a time (number or date string) and apply the state at that moment
+     */
+    seek(time) {
+        const target = TimelinePlayer.parseTime(time);
+        if (!Number.isFinite(target)) return;
+        
+        this.currentTime = Math.max(this.startTime, Math.min(this.endTime, target));
+        this.applyAt(this.currentTime);
+        this.notify();
+    }
+    
+    /**
+     * Seek to a position between 0 (first snapshot) and 1 (last snapshot)
+     */
+    seekProgress(progress) {
+        this.seek(this.startTime + (this.endTime - this.startTime) * progress);
+    }
+    
+    getProgress() {
+        const span = this.endTime - this.startTime;
+        return span > 0 ? (this.currentTime - this.startTime) / span : 1;
+    }
+    
+    /**
+     * Advance playback; called from the diagram's animation loop
+     */
+    update(now = performance.now()) {
+        if (!this.playing) return;
+        
+        const elapsed = this.lastTick === null ? 0 : now - this.lastTick;
+        this.lastTick = now;
+        
+        const span = this.endTime - this.startTime;
+        let time = this.currentTime + elapsed * this.options.speed * span / this.options.duration;
+        
+        if (time >= this.endTime) {
+            if (this.options.loop && span > 0) {
+                time = this.startTime + (time - this.startTime) % span;
+            } else {
+                time = this.endTime;
+                this.playing = false;
+            }
+        }
+        
+        this.seek(time);
+    }
+    
+    /**
+     * Send each track's state at a time to the diagram, skipping tracks whose state hasn't
+     * changed since the last frame (updates rebuild tubes and refresh the info card)
+     */
+    applyAt(time) {
+        this.tracks.forEach((keyframes, id) => {
+            const state = this.sample(keyframes, time);
+            const applied = this.appliedStates.get(id) || { status: undefined, metrics: {} };
+            const update = { id };
+            
+            // Status only goes out when it changes; re-applying it restarts glows and tints
+            if (state.status !== undefined && applied.status !== state.status) {
+                update.status = state.status;
+            }
+            
+            const changedMetrics = Object.keys(state.metrics).filter(name => applied.metrics[name] !== state.metrics[name]);
+            if (changedMetrics.length > 0) {
+                update.metrics = state.metrics;
+            }
+            
+            if (update.status === undefined && update.metrics === undefined) return;
+            
+            this.appliedStates.set(id, { status: state.status, metrics: state.metrics });
+            this.diagram.applyStatusUpdate(update);
+        });
+    }
+    
+    /**
+     * State of one track at a time: status steps at each keyframe, numeric metrics are
+     * interpolated towards the next keyframe. Before the first keyframe its state is used.
+     */
+    sample(keyframes, time) {
+        let index = 0;
+        while (index + 1 < keyframes.length && keyframes[index + 1].time <= time) {
+            index++;
+        }
+        
+        const current = keyframes[index];
+        const next = keyframes[index + 1];
+        if (!this.options.interpolate || !next || time <= current.time) {
+            return current;
+        }
+        
+        const ratio = (time - current.time) / (next.time - current.time);
+        const metrics = {};
+        Object.entries(current.metrics).forEach(([name, value]) => {
+            const target = next.metrics[name];
+            metrics[name] = typeof value === 'number' && typeof target === 'number'
+                ? value + (target - value) * ratio
+                : value;
+        });
+        
+        return { time, status: current.status, metrics };
+    }
+    
+    formatTime(time = this.currentTime) {
+        if (this.usesDates) {
+            return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+        }
+        return `${Number((time - this.startTime).toFixed(2))}`;
+    }
+    
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+    
+    dispose() {
+        this.playing = false;
+        this.listeners = [];
+    }
+}
+
+/**
+ * Trace Replay - Walks a single request's spans across the diagram: a highlighted particle
+ * hops along the connections between the elements the spans ran on and waits at each for
+ * (a scaled) span duration. Trace format: { spans: [...] } or a span array, each span being
+ * { elementId (or service), name, startTime, endTime | duration, spanId, parentSpanId, status, attributes }.
+ */
+class TraceReplay {
+    constructor(diagram, trace, options = {}) {
+        this.diagram = diagram;
+        this.options = {
+            hopDuration: 900,   // ms per connection hop
+            minDwell: 300,
+            maxDwell: 2500,     // Dwell of the longest span when timeScale isn't set
+            timeScale: null,    // Playback ms per span ms
+            color: 0xf43f5e,
+            loop: false,
+            showInfoCard: true,
+            onSpan: null,
+            onComplete: null,
+            ...options
+        };
+        
+        const spans = Array.isArray(trace) ? trace : (trace && trace.spans) || [];
+        this.spans = spans
+            .filter(span => span && TraceReplay.getSpanElementId(span) !== undefined)
+            .map(span => ({ ...span, start: TraceReplay.parseTime(span.startTime) }))
+            .sort((a, b) => (a.start || 0) - (b.start || 0));
+        
+        if (this.spans.length === 0) {
+            throw new Error('Trace has no spans with an elementId or service');
+        }
+        
+        this.steps = this.buildSteps();
+        this.path = null;
+    }
+    
+    static parseTime(time) {
+        return typeof time === 'string' ? Date.parse(time) : time;
+    }
+    
+    static getSpanElementId(span) {
+        return span.elementId !== undefined ? span.elementId : span.service;
+    }
+    
+    /**
+     * Span length in ms, from duration or endTime - startTime
+     */
+    static getSpanDuration(span) {
+        if (typeof span.duration === 'number') return span.duration;
+        
+        const duration = TraceReplay.parseTime(span.endTime) - TraceReplay.parseTime(span.startTime);
+        return Number.isFinite(duration) ? Math.max(duration, 0) : 0;
+    }
+    
+    buildSteps() {
+        const { hopDuration, minDwell, maxDwell } = this.options;
+        const longest = Math.max(...this.spans.map(span => TraceReplay.getSpanDuration(span)));
+        const timeScale = this.options.timeScale || (longest > 0 ? maxDwell / longest : 0);
+        
+        const steps = [];
+        let previous = null;
+        
+        this.spans.forEach(span => {
+            const elementId = TraceReplay.getSpanElementId(span);
+            const element = this.diagram.findElementById(elementId);
+            if (!element) {
+                console.warn(`Trace references unknown element '${elementId}'`);
+                return;
+            }
+            
+            if (previous && previous !== element) {
+                const hop = this.findHop(previous, element);
+                if (hop) {
+                    steps.push({ ...hop, duration: hopDuration });
+                } else {
+                    console.warn(`No connection between '${previous.userData.id}' and '${element.userData.id}', the trace jumps`);
+                }
+            }
+            
+            const dwell = TraceReplay.getSpanDuration(span) * timeScale;
+            steps.push({
+                position: this.getDwellPosition(element),
+                duration: Math.min(Math.max(dwell, minDwell), Math.max(maxDwell, minDwell)),
+                element,
+                span
+            });
+            previous = element;
+        });
+        
+        if (steps.length === 0) {
+            throw new Error('Trace has no spans on elements of this diagram');
+        }
+        return steps;
+    }
+    
+    /**
+     * Connection to travel from one element to another. A component also reaches the
+     * connections of the platform it sits on; direct connections win.
+     */
+    findHop(fromElement, toElement) {
+        const endpoints = element => {
+            const platform = element.userData.type === 'component'
+                ? this.diagram.platforms[element.userData.layer]
+                : null;
+            return platform ? [element, platform] : [element];
+        };
+        
+        const connections = this.diagram.connectionManager.connections;
+        for (const from of endpoints(fromElement)) {
+            for (const to of endpoints(toElement)) {
+                const forward = connections.find(conn => conn.fromElement === from && conn.toElement === to);
+                if (forward) return { connectionId: forward.id, reverse: false };
+                
+                const backward = connections.find(conn => conn.fromElement === to && conn.toElement === from);
+                if (backward) return { connectionId: backward.id, reverse: true };
+            }
+        }
+        return null;
+    }
+    
+    getDwellPosition(element) {
+        const box = new THREE.Box3().setFromObject(element);
+        const center = box.getCenter(new THREE.Vector3());
+        return new THREE.Vector3(center.x, box.max.y + 0.3, center.z);
+    }
+    
+    play() {
+        this.stop();
+        
+        this.path = this.diagram.connectionManager.playScriptedPath(this.steps, {
+            color: this.options.color,
+            loop: this.options.loop,
+            onStep: step => this.handleStep(step),
+            onComplete: () => this.handleComplete()
+        });
+        return this;
+    }
+    
+    handleStep(step) {
+        if (!step.span) return;
+        
+        if (this.options.showInfoCard) {
+            this.diagram.uiManager.showSpanCard(step.element, step.span);
+        }
+        if (this.options.onSpan) {
+            this.options.onSpan(step.span, step.element);
+        }
+    }
+    
+    handleComplete() {
+        this.path = null;
+        if (this.options.showInfoCard) {
+            this.diagram.uiManager.hideInfoCard();
+        }
+        if (this.options.onComplete) {
+            this.options.onComplete();
+        }
+    }
+    
+    isPlaying() {
+        return this.path !== null;
+    }
+    
+    stop() {
+        if (!this.path) return;
+        
+        this.diagram.connectionManager.stopScriptedPath(this.path);
+        this.path = null;
+        if (this.options.showInfoCard) {
+            this.diagram.uiManager.hideInfoCard();
+        }
+    }
+}
+
+/**
+ * Diagram Tour - A scripted walkthrough. Each step moves the camera, outlines the
+ * highlighted elements, dims everything else and shows a caption.
+ * Tour format: { steps: [{ title, caption, camera, highlight, dim, duration }], autoplay, interval, loop }
+ * (or just the steps array), where camera is a view or projection name or a { position, target, zoom } camera state
+ * and highlight lists element or connection ids. A tour in the Diagram3D config starts on load only
+ * with `autostart: true`.
+ */
+class DiagramTour {
+    constructor(diagram, tour = {}) {
+        this.diagram = diagram;
+        this.options = {
+            autoplay: false,
+            interval: 6000,     // ms per step during autoplay, unless the step sets a duration
+            loop: false,
+            showControls: true,
+            dimOpacity: 0.15,
+            highlightColor: 0x3b82f6,
+            ...(Array.isArray(tour) ? { steps: tour } : tour)
+        };
+        this.steps = this.options.steps || [];
+        
+        if (this.steps.length === 0) {
+            throw new Error('A tour needs at least one step');
+        }
+        
+        this.index = -1;
+        this.playing = false;
+        this.timer = null;
+        this.highlights = null;
+        this.dimmedMaterials = new Map();
+        this.listeners = [];
+    }
+    
+    start(index = 0) {
+        if (this.options.showControls) {
+            this.diagram.uiManager.createTourOverlay(this);
+        }
+        this.goTo(index);
+        if (this.options.autoplay) {
+            this.play();
+        }
+        return this;
+    }
+    
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        
+        this.index = index;
+        const step = this.steps[index];
+        
+        this.applyCamera(step.camera);
+        this.applyHighlight(step);
+        this.scheduleNext();
+        this.notify();
+    }
+    
+    next() {
+        if (this.index + 1 < this.steps.length) {
+            this.goTo(this.index + 1);
+        } else if (this.options.loop) {
+            this.goTo(0);
+        } else {
+            this.pause();
+        }
+    }
+    
+    prev() {
+        this.goTo(this.index - 1);
+    }
+    
+    play() {
+        this.playing = true;
+        this.scheduleNext();
+        this.notify();
+    }
+    
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.notify();
+    }
+    
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playing;
+    }
+    
+    scheduleNext() {
+        clearTimeout(this.timer);
+        if (!this.playing || this.index === -1) return;
+        
+        const step = this.steps[this.index];
+        this.timer = setTimeout(() => this.next(), step.duration || this.options.interval);
+    }
+    
+    applyCamera(camera) {
+        if (!camera) return;
+        
+        if (typeof camera === 'string') {
+            this.diagram.sceneManager.setView(camera);
+        } else {
+            this.diagram.sceneManager.setCameraState(camera, true);
+        }
+    }
+    
+    /**
+     * Outline the step's highlighted elements and, unless dim is false, fade out every
+     * other element and connection. Connections between two highlighted elements stay lit.
+     */
+    applyHighlight(step) {
+        this.clearHighlight();
+        
+        const ids = new Set((step.highlight || []).map(String));
+        if (ids.size === 0) return;
+        
+        const elements = [...Object.values(this.diagram.platforms), ...this.diagram.components];
+        const lit = new Set(elements.filter(element => ids.has(element.userData.id)));
+        
+        this.highlights = new THREE.Group();
+        lit.forEach(element => {
+            const box = DiagramLinter.getElementBox(element).expandByScalar(0.08);
+            this.highlights.add(new THREE.Box3Helper(box, step.highlightColor || this.options.highlightColor));
+        });
+        this.diagram.sceneManager.scene.add(this.highlights);
+        
+        if (step.dim === false) return;
+        
+        elements
+            .filter(element => !lit.has(element))
+            .forEach(element => this.dimMaterial(this.diagram.getOwnMaterial(element)));
+        
+        const connectionManager = this.diagram.connectionManager;
+        connectionManager.connections
+            .filter(conn => !ids.has(conn.id) && !(lit.has(conn.fromElement) && lit.has(conn.toElement)))
+            .forEach(conn => {
+                connectionManager.connectionGroup.children
+                    .filter(child => child.userData.connectionId === conn.id)
+                    .forEach(child => this.dimMaterial(child.material));
+            });
+    }
+    
+    dimMaterial(material) {
+        if (this.dimmedMaterials.has(material)) return;
+        
+        const { opacity, transparent, alphaTest } = material;
+        this.dimmedMaterials.set(material, { opacity, transparent, alphaTest });
+        material.transparent = true;
+        material.opacity = opacity * this.options.dimOpacity;
+        // Dashed tubes cut at alphaTest, which would hide them outright once faded
+        material.alphaTest = alphaTest * this.options.dimOpacity;
+        material.needsUpdate = true;
+    }
+    
+    clearHighlight() {
+        this.dimmedMaterials.forEach(({ opacity, transparent, alphaTest }, material) => {
+            material.opacity = opacity;
+            material.transparent = transparent;
+            material.alphaTest = alphaTest;
+            material.needsUpdate = true;
+        });
+        this.dimmedMaterials.clear();
+        
+        if (this.highlights) {
+            this.highlights.children.forEach(helper => {
+                helper.geometry.dispose();
+                helper.material.dispose();
+            });
+            this.diagram.sceneManager.scene.remove(this.highlights);
+            this.highlights = null;
+        }
+    }
+    
+    getStep() {
+        return this.steps[this.index] || null;
+    }
+    
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+    
+    /**
+     * End the tour: restore dimmed materials and remove the overlay (the camera stays put)
+     */
+    stop() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.clearHighlight();
+        this.diagram.uiManager.removeTourOverlay();
+        this.index = -1;
+        this.listeners = [];
+    }
+}
+
+/**
+ * MAIN DIAGRAM3D CLASS
+ */
+class Diagram3D {
+    constructor(config) {
+        this.container = typeof config.container === 'string' 
+            ? document.querySelector(config.container) 
+            : config.container;
+            
+        if (!this.container) {
+            throw new Error('Container not found');
+        }
+        
+        this.options = {
+            showControls: false,
+            showLegend: false,
+            showConnectionInfo: false,
+            enableInteraction: true,
+            animationEnabled: true,
+            enableShadows: true,
+            showArrows: false,
+            databaseShapes: false,
+            showLabels: false,
+            cameraControls: false,     // opt in: the wheel zooms instead of scrolling the page
+            projection: null,
+            autoFit: false,
+            dataSource: null,
+            validateConfig: true,
+            strictValidation: false,
+            ...config.options
+        };
+        
+        this.validation = this.validateConfig(config);
+        
+        this.data = config.data || {};
+        this.connections = config.connections || [];
+        this.tourConfig = config.tour || null;
+        this.id = this.generateId();
+        
+        this.components = [];
+        this.platforms = {};
+        this.elementIndex = new Map();
+        this.elementDataIndex = new Map();  // element id → the config entry it was built from
+        this.layerLayouts = {};
+        this.autoLayoutResult = null;
+        this.forceSimulation = null;
+        this.routedPositions = new Map();  // element → where its connections were last routed
+        this.elementLabels = new Map();
+        this.healthBadges = new Map();
+        this.timeline = null;
+        this.traceReplay = null;
+        this.tour = null;
+        
+        this.init();
+    }
+    
+    generateId() {
+        return Math.random().toString(36).substr(2, 9);
+    }
+    
+    /**
+     * Run the config validator according to validateConfig/strictValidation.
+     * Strict mode throws a DiagramValidationError, otherwise issues are logged.
+     */
+    validateConfig(config) {
+        if (!this.options.validateConfig) return null;
+        
+        const report = DiagramValidator.validate(config, { strict: this.options.strictValidation });
+        report.errors.forEach(error => console.warn(`Diagram config error at ${error.path}: ${error.message}`));
+        report.warnings.forEach(warning => console.warn(`Diagram config warning at ${warning.path}: ${warning.message}`));
+        return report;
+    }
+    
+    init() {
+        this.sceneManager = new SceneManager(this.container, this.options);
+        this.connectionManager = new ConnectionManager(this.sceneManager.scene, this.options);
+        this.connectionManager.setObstacleProvider((fromElement, toElement) => 
+            this.getRoutingObstacles(fromElement, toElement)
+        );
+        this.sceneManager.setFitProvider(() => this.options.autoFit ? this.getContentBox() : null);
+        this.uiManager = new UIManager(this);
+        
+        this.labelGroup = new THREE.Group();
+        this.labelGroup.visible = this.options.showLabels;
+        this.sceneManager.scene.add(this.labelGroup);
+        
+        this.badgeGroup = new THREE.Group();
+        this.sceneManager.scene.add(this.badgeGroup);
+        
+        if (this.options.enableInteraction) {
+            this.interactionManager = new InteractionManager(this);
+        }
+        
+        this.createElements();
+        this.createConnections();
+        if (this.options.projection) {
+            this.sceneManager.setProjection(this.options.projection, false);
+        }
+        if (this.options.autoFit) {
+            this.fitToContent({ animated: false });
+        }
+        this.startAnimationLoop();
+        
+        if (this.options.dataSource) {
+            this.connectDataSource(this.options.dataSource);
+        }
+        
+        window[`diagram_${this.id}`] = this;
+        
+        // A config tour only starts by itself when it asks to, otherwise it waits for the Start Tour button
+        if (this.tourConfig && this.tourConfig.autostart === true) {
+            this.startTour();
+        }
+    }
+    
+    createElements() {
+        // load() and relayout() build the scene again, the previous layer materials go with it
+        if (this.materials) {
+            this.disposeMaterials();
+        }
+        this.materials = this.createMaterials();
+        this.assignElementIds();
+        
+        Object.keys(this.data).forEach(layerName => this.computeLayerLayout(layerName));
+        this.computeAutoLayout();
+        
+        Object.entries(this.data).forEach(([layerName, layerData]) => {
+            if (layerData.platform !== null && layerData.platform !== undefined) {
+                const platform = this.createPlatform(layerData.platform, this.getLayerMaterial(layerName), layerName);
+                this.platforms[layerName] = platform;
+                this.registerElementId(platform, layerData.platform);
+                
+                if (this.interactionManager) {
+                    this.interactionManager.registerPlatform(platform);
+                }
+            }
+            
+            if (layerData.components) {
+                layerData.components.forEach(comp => {
+                    const hasPlataform = (layerData.platform !== null && layerData.platform !== undefined);
+                    const component = this.createComponent(comp, layerName, hasPlataform);
+                    this.components.push(component);
+                    this.registerElementId(component, comp);
+                    
+                    if (this.interactionManager) {
+                        this.interactionManager.registerComponent(component);
+                    }
+                });
+            }
+        });
+    }
+    
+    createMaterials() {
+        return {
+            userInterface: this.createEnhancedMaterial(0x10b981, 0x047857, 'Interface Layer'),
+            businessLogic: this.createEnhancedMaterial(0xf59e0b, 0xd97706, 'Logic Layer'),
+            output: this.createEnhancedMaterial(0x8b5cf6, 0x7c3aed, 'Output Layer'),
+            database: this.createEnhancedMaterial(0x06b6d4, 0x0891b2, 'Database Layer'),
+            frontend: this.createEnhancedMaterial(0x3b82f6, 0x2563eb, 'Frontend Layer'),
+            backend: this.createEnhancedMaterial(0x10b981, 0x047857, 'Backend Layer'),
+            services: this.createEnhancedMaterial(0x8b5cf6, 0x7c3aed, 'Services Layer'),
+            default: this.createEnhancedMaterial(0x64748b, 0x475569, 'Default Layer')
+        };
+    }
+    
+    disposeMaterials() {
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.materials = null;
+    }
+    
+    getLayerMaterial(layerName) {
+        return this.materials[layerName] || this.materials.default;
+    }
+    
+    /**
+     * Create materials with subtle gradients and depth effects
+     */
+    createEnhancedMaterial(primaryColor, accentColor, layerType) {
+        const material = new THREE.MeshPhongMaterial({
+            color: primaryColor,
+            emissive: accentColor,
+            emissiveIntensity: 0.05,
+            opacity: 0.85,
             transparent: true,
             shininess: 30,
             specular: 0x444444,
             side: THREE.DoubleSide
         });
         
-        // Add subtle texture variations based on layer type
-        if (layerType.includes('Database')) {
-            material.emissiveIntensity = 0.08;
-            material.shininess = 50;
-        } else if (layerType.includes('Interface') || layerType.includes('Frontend')) {
-            material.emissiveIntensity = 0.06;
-            material.shininess = 40;
+        // Add subtle texture variations based on layer type
+        if (layerType.includes('Database')) {
+            material.emissiveIntensity = 0.08;
+            material.shininess = 50;
+        } else if (layerType.includes('Interface') || layerType.includes('Frontend')) {
+            material.emissiveIntensity = 0.06;
+            material.shininess = 40;
+        }
+        
+        return material;
+    }
+    
+    /**
+     * Run the platform's layout (if any) and cache component positions and fitted size
+     */
+    computeLayerLayout(layerName) {
+        const layerData = this.data[layerName];
+        const platformData = layerData && layerData.platform;
+        
+        if (!platformData || !platformData.layout) {
+            delete this.layerLayouts[layerName];
+            return null;
+        }
+        
+        const components = layerData.components || [];
+        const footprints = components.map(comp => 
+            ShapeRegistry.getShapeBounds(this.resolveComponentShape(comp), comp.size || 1.5)
+        );
+        const result = PlatformLayout.compute(platformData, footprints);
+        
+        const layout = {
+            width: result.width,
+            depth: result.depth,
+            positions: new Map(components.map((comp, index) => [comp, result.positions[index]]))
+        };
+        this.layerLayouts[layerName] = layout;
+        return layout;
+    }
+    
+    getLayoutPosition(compData, layerName) {
+        const layout = this.layerLayouts[layerName];
+        return layout ? layout.positions.get(compData) || null : null;
+    }
+    
+    /**
+     * Resolve a component's x/z from its platform layout, the diagram auto-layout or its config
+     */
+    getComponentPosition(compData, layerName) {
+        const autoPosition = this.autoLayoutResult && this.autoLayoutResult.componentPositions.get(compData);
+        if (autoPosition) {
+            return { x: autoPosition.x, z: autoPosition.z };
+        }
+        
+        const layoutPosition = this.getLayoutPosition(compData, layerName);
+        const offset = this.getLayerOffset(layerName);
+        return {
+            x: (layoutPosition ? layoutPosition.x : compData.x || 0) + offset.x,
+            z: (layoutPosition ? layoutPosition.z : compData.z || 0) + offset.z
+        };
+    }
+    
+    /**
+     * How far the diagram auto-layout moved a platform layer from its configured position
+     */
+    getLayerOffset(layerName) {
+        const offset = this.autoLayoutResult && this.autoLayoutResult.layerOffsets[layerName];
+        return offset || { x: 0, z: 0 };
+    }
+    
+    /**
+     * Normalize the autoLayout option ('layered' or { type, ... }) into an options object
+     */
+    getAutoLayoutOptions() {
+        const autoLayout = this.options.autoLayout;
+        if (!autoLayout) return null;
+        
+        return typeof autoLayout === 'string' ? { type: autoLayout } : { ...autoLayout };
+    }
+    
+    /**
+     * Position platforms and standalone components from the connection graph when
+     * the autoLayout option is set. A platform moves together with its components.
+     */
+    computeAutoLayout() {
+        this.autoLayoutResult = null;
+        this.forceSimulation = null;
+        this.routedPositions.clear();
+        
+        const layoutOptions = this.getAutoLayoutOptions();
+        if (!layoutOptions) return;
+        
+        const { nodes, edges } = this.buildLayoutGraph();
+        if (nodes.length === 0) return;
+        
+        let positions;
+        if (layoutOptions.type === 'layered') {
+            positions = LayeredLayout.compute(nodes, edges, layoutOptions);
+        } else if (layoutOptions.type === 'force') {
+            // Elements start at their seed positions and settle in the render loop,
+            // unless animation is turned off
+            const simulation = new ForceLayout(nodes, edges, layoutOptions);
+            if (layoutOptions.animate === false) {
+                simulation.run();
+            } else {
+                this.forceSimulation = simulation;
+            }
+            positions = simulation.getPositions();
+        } else {
+            console.warn(`Unknown autoLayout type "${layoutOptions.type}"`);
+            return;
+        }
+        
+        this.autoLayoutResult = this.createAutoLayoutResult(nodes, positions);
+    }
+    
+    /**
+     * Layout nodes are platform layers (with their components) and standalone components,
+     * in config order. Edges come from the connections, mapped onto those nodes.
+     */
+    buildLayoutGraph() {
+        const nodes = [];
+        const nodeKeys = new Map();
+        
+        Object.entries(this.data).forEach(([layerName, layerData]) => {
+            if (this.hasPlatform(layerName)) {
+                const size = this.getPlatformSize(layerData.platform, layerName);
+                const node = {
+                    key: `layer:${layerName}`,
+                    width: size.width,
+                    depth: size.depth,
+                    layerName,
+                    elementData: layerData.platform,
+                    ...this.getLayoutPin(layerData.platform)
+                };
+                nodes.push(node);
+                nodeKeys.set(layerData.platform, node.key);
+                (layerData.components || []).forEach(comp => nodeKeys.set(comp, node.key));
+            } else {
+                (layerData.components || []).forEach(comp => {
+                    const bounds = ShapeRegistry.getShapeBounds(this.resolveComponentShape(comp), comp.size || 1.5);
+                    const node = {
+                        key: `component:${comp.id}`,
+                        width: bounds.width,
+                        depth: bounds.depth,
+                        layerName,
+                        elementData: comp,
+                        ...this.getLayoutPin(comp)
+                    };
+                    nodes.push(node);
+                    nodeKeys.set(comp, node.key);
+                });
+            }
+        });
+        
+        const edges = [];
+        this.connections.forEach(conn => {
+            const from = this.findElementData(conn.from);
+            const to = this.findElementData(conn.to);
+            if (from && to) {
+                edges.push([nodeKeys.get(from.elementData), nodeKeys.get(to.elementData)]);
+            }
+        });
+        
+        return { nodes, edges };
+    }
+    
+    /**
+     * Starting position and pin state of a layout node. Elements with explicit x and z
+     * are pinned unless `pinned: false` is set.
+     */
+    getLayoutPin(elementData) {
+        const placed = elementData.x !== undefined && elementData.z !== undefined;
+        return {
+            x: placed ? elementData.x : undefined,
+            z: placed ? elementData.z : undefined,
+            pinned: elementData.pinned !== undefined ? !!elementData.pinned : placed
+        };
+    }
+    
+    /**
+     * Advance an animated force layout and move platforms, their components and
+     * standalone components to the new positions, re-routing their connections
+     */
+    updateForceLayout() {
+        if (!this.forceSimulation || this.forceSimulation.settled) return;
+        
+        const { stepsPerFrame = 2, rerouteDistance = 0.1 } = this.getAutoLayoutOptions();
+        for (let i = 0; i < stepsPerFrame; i++) {
+            this.forceSimulation.step();
+        }
+        
+        this.autoLayoutResult = this.createAutoLayoutResult(
+            this.forceSimulation.nodes,
+            this.forceSimulation.getPositions()
+        );
+        
+        const moved = [];
+        const moveBy = (element, dx, dz) => {
+            if (Math.abs(dx) < 1e-6 && Math.abs(dz) < 1e-6) return;
+            
+            if (!this.routedPositions.has(element)) {
+                this.routedPositions.set(element, element.position.clone());
+            }
+            element.position.x += dx;
+            element.position.z += dz;
+            if (element.userData.originalPosition) {
+                element.userData.originalPosition.x += dx;
+                element.userData.originalPosition.z += dz;
+            }
+            if (element.userData.connectionPoint) {
+                element.userData.connectionPoint.x = element.position.x;
+                element.userData.connectionPoint.z = element.position.z;
+            }
+            moved.push(element);
+        };
+        
+        Object.entries(this.platforms).forEach(([layerName, platform]) => {
+            const platformData = this.data[layerName].platform;
+            const offset = this.getLayerOffset(layerName);
+            const dx = (platformData.x || 0) + offset.x - platform.position.x;
+            const dz = (platformData.z || 0) + offset.z - platform.position.z;
+            
+            moveBy(platform, dx, dz);
+            this.components
+                .filter(component => component.userData.layer === layerName)
+                .forEach(component => moveBy(component, dx, dz));
+        });
+        
+        this.components
+            .filter(component => !component.userData.hasPlataform)
+            .forEach(component => {
+                const compData = this.getElementData(component.userData.id);
+                const position = compData && this.autoLayoutResult.componentPositions.get(compData);
+                if (position) {
+                    moveBy(component, position.x - component.position.x, position.z - component.position.z);
+                }
+            });
+        
+        // Rebuilding tubes every frame is costly: connections follow once an element has drifted
+        // rerouteDistance from where they were last routed, and catch up exactly when it settles
+        const settled = this.forceSimulation.settled;
+        const reroute = (settled ? Array.from(this.routedPositions.keys()) : moved).filter(element => {
+            const routed = this.routedPositions.get(element);
+            return routed.distanceTo(element.position) > (settled ? 1e-6 : rerouteDistance);
+        });
+        
+        if (reroute.length > 0) {
+            reroute.forEach(element => this.routedPositions.get(element).copy(element.position));
+            this.connectionManager.updateConnectionPaths(reroute);
+        }
+    }
+    
+    /**
+     * Turn node centers into layer offsets (platforms) and absolute positions (standalone components)
+     */
+    createAutoLayoutResult(nodes, positions) {
+        const result = { layerOffsets: {}, componentPositions: new Map() };
+        
+        nodes.forEach(node => {
+            const position = positions.get(node.key);
+            if (!position) return;
+            
+            if (node.key.startsWith('layer:')) {
+                result.layerOffsets[node.layerName] = {
+                    x: position.x - (node.elementData.x || 0),
+                    z: position.z - (node.elementData.z || 0)
+                };
+            } else {
+                result.componentPositions.set(node.elementData, position);
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * An element plus the ones a connection to it naturally touches: a platform's
+     * components, or a component's platform
+     */
+    getAttachedElements(element) {
+        if (element.userData.type === 'platform') {
+            return [element, ...this.components.filter(component => 
+                component.userData.hasPlataform && component.userData.layer === element.userData.layer
+            )];
+        }
+        if (element.userData.hasPlataform && this.platforms[element.userData.layer]) {
+            return [element, this.platforms[element.userData.layer]];
+        }
+        return [element];
+    }
+    
+    /**
+     * Boxes of every element a connection between these two endpoints should route around
+     */
+    getRoutingObstacles(fromElement, toElement) {
+        const attached = new Set([
+            ...this.getAttachedElements(fromElement),
+            ...this.getAttachedElements(toElement)
+        ]);
+        
+        return [...Object.values(this.platforms), ...this.components]
+            .filter(element => !attached.has(element))
+            .map(element => DiagramLinter.getElementBox(element));
+    }
+    
+    /**
+     * Check the built diagram for overlaps, components off their platform, orphans and
+     * connections passing through elements (see DiagramLinter). With `highlight: true`
+     * offenders get a colored box in the scene until clearLintHighlights() or the next lint().
+     */
+    lint(options = {}) {
+        const report = DiagramLinter.lint(this, options);
+        
+        this.clearLintHighlights();
+        if (options.highlight) {
+            this.highlightLintIssues(report);
+        }
+        
+        return report;
+    }
+    
+    highlightLintIssues(report) {
+        this.lintHighlights = new THREE.Group();
+        const highlighted = new Map();
+        
+        report.issues.forEach(issue => {
+            issue.elements.forEach(id => {
+                // Errors win over warnings when an element has both
+                if (highlighted.get(id) !== 'error') {
+                    highlighted.set(id, issue.severity);
+                }
+            });
+        });
+        
+        highlighted.forEach((severity, id) => {
+            const element = this.findElementById(id);
+            if (!element) return;
+            
+            const box = DiagramLinter.getElementBox(element).expandByScalar(0.05);
+            this.lintHighlights.add(new THREE.Box3Helper(box, DiagramLinter.SEVERITY_COLORS[severity]));
+        });
+        
+        this.sceneManager.scene.add(this.lintHighlights);
+    }
+    
+    clearLintHighlights() {
+        if (!this.lintHighlights) return;
+        
+        this.lintHighlights.children.forEach(helper => {
+            helper.geometry.dispose();
+            helper.material.dispose();
+        });
+        this.sceneManager.scene.remove(this.lintHighlights);
+        this.lintHighlights = null;
+    }
+    
+    /**
+     * Re-run the automatic layout and rebuild the scene in place
+     */
+    relayout() {
+        this.load(this.toJSON());
+    }
+    
+    getPlatformSize(platformData, layerName) {
+        const layout = this.layerLayouts[layerName];
+        const autoSized = platformData.autoSize && layout;
+        
+        return {
+            width: autoSized ? layout.width : platformData.width || 4,
+            height: platformData.height || 0.5,
+            depth: autoSized ? layout.depth : platformData.depth || 4
+        };
+    }
+    
+    createPlatform(platformData, material, layerName) {
+        const { width, height, depth } = this.getPlatformSize(platformData, layerName);
+        const offset = this.getLayerOffset(layerName);
+        const xPos = (platformData.x || 0) + offset.x;
+        const zPos = (platformData.z || 0) + offset.z;
+        
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const platform = new THREE.Mesh(geometry, material);
+        
+        platform.position.set(
+            xPos, 
+            platformData.y || -0.25, 
+            zPos
+        );
+        platform.receiveShadow = true;
+        platform.userData = {
+            id: this.resolveElementId(platformData.id, `${layerName} platform`),
+            type: 'platform',
+            layer: layerName,
+            status: platformData.status !== undefined ? this.normalizeStatus(platformData.status) : undefined,
+            name: `${layerName.charAt(0).toUpperCase() + layerName.slice(1)} Platform`,
+            info: `Foundation layer for ${layerName} components`,
+            connectionPoint: { 
+                x: xPos, 
+                y: platformData.y || 0, 
+                z: zPos 
+            }
+        };
+        this.sceneManager.scene.add(platform);
+        return platform;
+    }
+    
+    createComponent(compData, layerName, hasPlataform) {
+        const size = compData.size || 1.5;
+        
+        const shape = this.resolveComponentShape(compData);
+        const geometry = ShapeRegistry.get(shape).createGeometry(size);
+        const isDatabaseComponent = shape === 'cylinder';
+        
+        let material;
+        if (hasPlataform) {
+            material = new THREE.MeshLambertMaterial({ 
+                color: compData.color || 0x64748b, 
+                opacity: 0.9, 
+                transparent: true 
+            });
+        } else {
+            material = new THREE.MeshLambertMaterial({ 
+                color: compData.color || 0x8b5cf6, 
+                opacity: 0.9, 
+                transparent: true,
+                emissive: 0x3b1065,
+                emissiveIntensity: 0.1
+            });
+        }
+        
+        const component = new THREE.Mesh(geometry, material);
+        
+        // IMPROVED: More precise positioning on platforms
+        let yPos;
+        if (hasPlataform) {
+            // Position exactly on top of platform surface
+            const platformData = this.data[layerName].platform;
+            const platformHeight = platformData.height || 0.5;
+            const platformY = platformData.y || -0.25;
+            yPos = platformY + (platformHeight / 2) + (size / 2) + 0.05; // Small gap above platform
+        } else {
+            yPos = compData.y || 0.75; // Standalone cubes
+        }
+        
+        const position = this.getComponentPosition(compData, layerName);
+        const xPos = position.x;
+        const zPos = position.z;
+        
+        component.position.set(xPos, yPos, zPos);
+        component.castShadow = true;
+        component.receiveShadow = true;
+        
+        component.userData = {
+            id: this.resolveElementId(compData.id, compData.name || 'Unnamed Component'),
+            type: 'component',
+            name: compData.name || 'Unnamed Component',
+            layer: layerName,
+            info: compData.info || 'No information available',
+            hasPlataform: hasPlataform,
+            originalY: yPos,
+            shape: shape,
+            size: size,
+            isDatabaseComponent: isDatabaseComponent,
+            status: compData.status !== undefined ? this.normalizeStatus(compData.status) : undefined,
+            connectionPoint: { 
+                x: xPos, 
+                y: yPos, 
+                z: zPos 
+            }
+        };
+        
+        this.sceneManager.scene.add(component);
+        return component;
+    }
+    
+    /**
+     * Pick a component's shape: the explicit `shape` field, else the name heuristic
+     * when `databaseShapes` is enabled, else a cube
+     */
+    resolveComponentShape(compData) {
+        if (compData.shape !== undefined) {
+            if (ShapeRegistry.has(compData.shape)) {
+                return compData.shape;
+            }
+            console.warn(`Unknown shape "${compData.shape}" for component "${compData.name}", using cube`);
+            return 'cube';
+        }
+        
+        if (this.options.databaseShapes && this.isDatabaseComponent(compData.name)) {
+            return 'cylinder';
+        }
+        
+        return 'cube';
+    }
+    
+    /**
+     * Register a custom component shape usable through the `shape` config field.
+     * For model-based shapes (e.g. GLTF), load the model first and return a clone of its
+     * geometry from createGeometry. See ShapeRegistry for the definition hooks.
+     */
+    static registerShape(name, definition) {
+        ShapeRegistry.register(name, definition);
+    }
+    
+    isDatabaseComponent(componentName) {
+        const databaseKeywords = ['airtable', 'excel', 'database', 'db', 'storage', 'data'];
+        const name = (componentName || '').toLowerCase();
+        
+        if (name.includes('airtable') || name.includes('excel')) {
+            return true;
+        }
+        
+        return databaseKeywords.some(keyword => name.includes(keyword));
+    }
+    
+    /**
+     * Ids Diagram3D derives for every platform and component of a data config, as a
+     * Map of config entry → id. Explicit ids are kept; missing ones are slugs of the
+     * element name, suffixed (-2, -3...) when taken.
+     */
+    static deriveElementIds(data) {
+        const entries = [];
+        Object.entries(data || {}).forEach(([layerName, layerData]) => {
+            if (!layerData || typeof layerData !== 'object') return;
+            
+            if (layerData.platform && typeof layerData.platform === 'object') {
+                entries.push([layerData.platform, `${layerName} platform`]);
+            }
+            if (Array.isArray(layerData.components)) {
+                layerData.components.forEach(comp => {
+                    if (comp && typeof comp === 'object') {
+                        entries.push([comp, comp.name || 'Unnamed Component']);
+                    }
+                });
+            }
+        });
+        
+        const taken = new Set(entries
+            .filter(([elementData]) => elementData.id !== undefined)
+            .map(([elementData]) => String(elementData.id)));
+        const ids = new Map();
+        
+        entries.forEach(([elementData, fallbackName]) => {
+            if (elementData.id !== undefined) {
+                ids.set(elementData, String(elementData.id));
+                return;
+            }
+            
+            const baseId = Diagram3D.slugify(fallbackName);
+            let id = baseId;
+            let suffix = 2;
+            while (taken.has(id)) {
+                id = `${baseId}-${suffix++}`;
+            }
+            taken.add(id);
+            ids.set(elementData, id);
+        });
+        
+        return ids;
+    }
+    
+    /**
+     * Write derived ids into config entries that have none, before any mesh is created
+     */
+    assignElementIds() {
+        Diagram3D.deriveElementIds(this.data).forEach((id, elementData) => {
+            if (elementData.id === undefined) {
+                elementData.id = id;
+            }
+        });
+    }
+    
+    /**
+     * Config-level counterpart of findElement: returns { layerName, type, elementData } or null
+     */
+    findElementData(identifier) {
+        const layers = Object.entries(this.data);
+        
+        if (typeof identifier === 'string' || identifier.id !== undefined) {
+            const id = String(typeof identifier === 'string' ? identifier : identifier.id);
+            for (const [layerName, layerData] of layers) {
+                if (layerData.platform && String(layerData.platform.id) === id) {
+                    return { layerName, type: 'platform', elementData: layerData.platform };
+                }
+                const comp = (layerData.components || []).find(c => String(c.id) === id);
+                if (comp) {
+                    return { layerName, type: 'component', elementData: comp };
+                }
+            }
+            return null;
+        }
+        
+        if (identifier.type === 'platform') {
+            const layerData = this.data[identifier.layer];
+            return layerData && layerData.platform
+                ? { layerName: identifier.layer, type: 'platform', elementData: layerData.platform }
+                : null;
+        }
+        
+        if (identifier.type === 'component') {
+            for (const [layerName, layerData] of layers) {
+                const comp = (layerData.components || []).find(c => 
+                    c.name === identifier.name || 
+                    (identifier.layer && layerName === identifier.layer)
+                );
+                if (comp) {
+                    return { layerName, type: 'component', elementData: comp };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Resolve a unique element id, deriving one from the element name when the config has none
+     */
+    resolveElementId(requestedId, fallbackName) {
+        const baseId = requestedId ? String(requestedId) : Diagram3D.slugify(fallbackName);
+        let id = baseId;
+        let suffix = 2;
+        
+        while (this.elementIndex.has(id)) {
+            id = `${baseId}-${suffix++}`;
+        }
+        
+        if (requestedId && id !== String(requestedId)) {
+            console.warn(`Duplicate element id "${requestedId}", using "${id}" instead`);
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Convert a name like "Output Tables" or "userInterface" into "output-tables" / "user-interface"
+     */
+    static slugify(text) {
+        return String(text)
+            .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+    
+    /**
+     * Add an element to the id index and write the resolved id back to its config entry
+     */
+    registerElementId(element, elementData) {
+        const id = element.userData.id;
+        this.elementIndex.set(id, element);
+        if (elementData) {
+            this.elementDataIndex.set(id, elementData);
+        }
+        
+        if (elementData && elementData.id === undefined) {
+            elementData.id = id;
+        }
+    }
+    
+    createConnections() {
+        this.connections.forEach(conn => {
+            const fromElement = this.findElement(conn.from);
+            const toElement = this.findElement(conn.to);
+            
+            if (fromElement && toElement) {
+                this.connectionManager.addConnection(fromElement, toElement, conn.options || {}, conn.id);
+            } else {
+                console.warn('Connection element not found:', conn);
+            }
+        });
+        
+        this.connectionManager.refreshBundles();
+    }
+    
+    /**
+     * Turn edge bundling on/off (true, false or a settings object) at runtime
+     */
+    setEdgeBundling(bundling) {
+        this.options.edgeBundling = bundling;
+        this.connectionManager.setEdgeBundling(bundling);
+    }
+    
+    findElement(identifier) {
+        if (typeof identifier === 'string') {
+            return this.findElementById(identifier);
+        }
+        if (identifier.id !== undefined) {
+            return this.findElementById(identifier.id);
+        }
+        if (identifier.type === 'platform') {
+            return this.platforms[identifier.layer];
+        } else if (identifier.type === 'component') {
+            return this.components.find(c => 
+                c.userData.name === identifier.name || 
+                (identifier.layer && c.userData.layer === identifier.layer)
+            );
+        }
+        return null;
+    }
+    
+    findElementById(id) {
+        return this.elementIndex.get(String(id)) || null;
+    }
+    
+    /**
+     * Get a platform or component mesh by its stable id
+     */
+    getElement(id) {
+        return this.findElementById(id);
+    }
+    
+    /**
+     * List the ids of all platforms and components in creation order
+     */
+    getElementIds() {
+        return Array.from(this.elementIndex.keys());
+    }
+    
+    /**
+     * Get the config entry (platform or component data) an element was built from
+     */
+    getElementData(id) {
+        return this.elementDataIndex.get(String(id)) || null;
+    }
+    
+    hasPlatform(layerName) {
+        const layerData = this.data[layerName];
+        return !!layerData && layerData.platform !== null && layerData.platform !== undefined;
+    }
+    
+    /**
+     * Add a component to a layer at runtime, creating the layer if needed
+     */
+    addComponent(layerName, compData) {
+        if (!this.data[layerName]) {
+            this.data[layerName] = { platform: null, components: [] };
+        }
+        if (!this.data[layerName].components) {
+            this.data[layerName].components = [];
+        }
+        this.data[layerName].components.push(compData);
+        
+        const component = this.createComponent(compData, layerName, this.hasPlatform(layerName));
+        this.components.push(component);
+        this.registerElementId(component, compData);
+        
+        if (this.interactionManager) {
+            this.interactionManager.registerComponent(component);
+        }
+        
+        if (this.layerLayouts[layerName]) {
+            this.relayoutLayer(layerName);
+        }
+        
+        return component.userData.id;
+    }
+    
+    /**
+     * Update a component's config (name, position, color, size, layer...) and rebuild its mesh.
+     * The component keeps its id and all of its connections.
+     */
+    updateComponent(id, changes = {}) {
+        const component = this.findElementById(id);
+        if (!component || component.userData.type !== 'component') {
+            console.warn('Component not found:', id);
+            return null;
+        }
+        
+        const { id: ignoredId, layer: targetLayer, ...fields } = changes;
+        const currentLayer = component.userData.layer;
+        const compData = this.getElementData(id);
+        Object.assign(compData, fields);
+        
+        if (targetLayer && targetLayer !== currentLayer) {
+            const components = this.data[currentLayer].components;
+            components.splice(components.indexOf(compData), 1);
+            
+            if (!this.data[targetLayer]) {
+                this.data[targetLayer] = { platform: null, components: [] };
+            }
+            if (!this.data[targetLayer].components) {
+                this.data[targetLayer].components = [];
+            }
+            this.data[targetLayer].components.push(compData);
+        }
+        
+        const layerName = targetLayer || currentLayer;
+        this.computeLayerLayout(layerName);
+        this.rebuildComponent(component, compData, layerName);
+        
+        if (this.layerLayouts[layerName]) {
+            this.relayoutLayer(layerName);
+        }
+        if (layerName !== currentLayer && this.layerLayouts[currentLayer]) {
+            this.relayoutLayer(currentLayer);
+        }
+        return id;
+    }
+    
+    /**
+     * Remove a component, its connections and its config entry
+     */
+    removeComponent(id) {
+        const component = this.findElementById(id);
+        if (!component || component.userData.type !== 'component') {
+            console.warn('Component not found:', id);
+            return false;
+        }
+        
+        const layerData = this.data[component.userData.layer];
+        const compData = this.getElementData(id);
+        if (layerData && compData) {
+            layerData.components.splice(layerData.components.indexOf(compData), 1);
+        }
+        
+        this.connectionManager.removeConnectionsFor(component);
+        this.components.splice(this.components.indexOf(component), 1);
+        this.unregisterElement(component);
+        
+        if (this.layerLayouts[component.userData.layer]) {
+            this.relayoutLayer(component.userData.layer);
+        }
+        return true;
+    }
+    
+    /**
+     * Add a platform under a layer at runtime. Components already in the layer are
+     * rebuilt on top of it.
+     */
+    addPlatform(layerName, platformData) {
+        if (this.platforms[layerName]) {
+            console.warn(`Layer "${layerName}" already has a platform`);
+            return null;
+        }
+        
+        if (!this.data[layerName]) {
+            this.data[layerName] = { platform: null, components: [] };
+        }
+        this.data[layerName].platform = platformData;
+        this.computeLayerLayout(layerName);
+        
+        const platform = this.createPlatform(platformData, this.getLayerMaterial(layerName), layerName);
+        this.platforms[layerName] = platform;
+        this.registerElementId(platform, platformData);
+        
+        if (this.interactionManager) {
+            this.interactionManager.registerPlatform(platform);
+        }
+        
+        this.rebuildLayerComponents(layerName);
+        return platform.userData.id;
+    }
+    
+    /**
+     * Remove a layer's platform. Its components become standalone unless
+     * `removeComponents` is set, in which case they are removed as well.
+     */
+    removePlatform(layerName, options = {}) {
+        const platform = this.platforms[layerName];
+        if (!platform) {
+            console.warn(`Layer "${layerName}" has no platform`);
+            return false;
+        }
+        
+        if (options.removeComponents) {
+            this.components
+                .filter(component => component.userData.layer === layerName)
+                .forEach(component => this.removeComponent(component.userData.id));
+        }
+        
+        this.connectionManager.removeConnectionsFor(platform);
+        delete this.platforms[layerName];
+        this.data[layerName].platform = null;
+        this.unregisterElement(platform);
+        this.computeLayerLayout(layerName);
+        
+        this.rebuildLayerComponents(layerName);
+        return true;
+    }
+    
+    /**
+     * Re-run a layer's platform layout, resizing an auto-sized platform and moving its components
+     */
+    relayoutLayer(layerName) {
+        const layout = this.computeLayerLayout(layerName);
+        const platform = this.platforms[layerName];
+        
+        if (layout && platform) {
+            const size = this.getPlatformSize(this.data[layerName].platform, layerName);
+            const current = platform.geometry.parameters;
+            if (size.width !== current.width || size.depth !== current.depth) {
+                this.rebuildPlatform(layerName);
+            }
+        }
+        
+        this.rebuildLayerComponents(layerName);
+    }
+    
+    /**
+     * Replace a platform mesh with a fresh one built from its config, keeping its id
+     */
+    rebuildPlatform(layerName) {
+        const platform = this.platforms[layerName];
+        this.elementIndex.delete(platform.userData.id);
+        this.elementDataIndex.delete(platform.userData.id);
+        
+        const platformData = this.data[layerName].platform;
+        const replacement = this.createPlatform(platformData, this.getLayerMaterial(layerName), layerName);
+        this.platforms[layerName] = replacement;
+        this.registerElementId(replacement, platformData);
+        
+        if (this.interactionManager) {
+            this.interactionManager.unregisterComponent(platform);
+            this.interactionManager.registerPlatform(replacement);
+        }
+        
+        this.connectionManager.replaceElement(platform, replacement);
+        this.disposeElement(platform);
+        return replacement;
+    }
+    
+    rebuildLayerComponents(layerName) {
+        this.components
+            .filter(component => component.userData.layer === layerName)
+            .forEach(component => {
+                const compData = this.getElementData(component.userData.id);
+                this.rebuildComponent(component, compData, layerName);
+            });
+        
+        if (this.platforms[layerName]) {
+            this.connectionManager.rerouteConnections([this.platforms[layerName]]);
+        }
+    }
+    
+    /**
+     * Replace a component mesh with a fresh one built from its config, keeping its id
+     */
+    rebuildComponent(component, compData, layerName) {
+        this.elementIndex.delete(component.userData.id);
+        this.elementDataIndex.delete(component.userData.id);
+        
+        const replacement = this.createComponent(compData, layerName, this.hasPlatform(layerName));
+        this.components[this.components.indexOf(component)] = replacement;
+        this.registerElementId(replacement, compData);
+        
+        if (this.interactionManager) {
+            this.interactionManager.unregisterComponent(component);
+            this.interactionManager.registerComponent(replacement);
+        }
+        
+        this.connectionManager.replaceElement(component, replacement);
+        this.disposeElement(component);
+        return replacement;
+    }
+    
+    unregisterElement(element) {
+        this.elementIndex.delete(element.userData.id);
+        this.elementDataIndex.delete(element.userData.id);
+        
+        if (this.interactionManager) {
+            this.interactionManager.unregisterComponent(element);
+        }
+        
+        this.disposeElement(element);
+    }
+    
+    /**
+     * Remove a mesh from the scene and free its GPU resources.
+     * Shared layer materials are kept for reuse.
+     */
+    disposeElement(element) {
+        this.sceneManager.scene.remove(element);
+        element.geometry.dispose();
+        
+        const sharedMaterials = Object.values(this.materials);
+        if (!sharedMaterials.includes(element.material)) {
+            element.material.dispose();
+        }
+    }
+    
+    toggleConnections() {
+        const isVisible = this.connectionManager.connectionGroup.visible;
+        this.connectionManager.setVisible(!isVisible);
+    }
+    
+    resetView() {
+        this.sceneManager.setIsometricView();
+        if (this.options.autoFit) {
+            this.fitToContent();
+        }
+        if (this.interactionManager) {
+            if (this.interactionManager.selectedComponent) {
+                this.interactionManager.resetComponentState(this.interactionManager.selectedComponent);
+                if (this.interactionManager.selectedComponent.userData.type === 'platform') {
+                    this.interactionManager.resetPlatformComponents(this.interactionManager.selectedComponent);
+                }
+                this.interactionManager.selectedComponent = null;
+            }
+            this.uiManager.hideInfoCard();
+        }
+    }
+    
+    addNewConnection(fromId, toId, options = {}) {
+        const fromElement = this.findElementById(fromId);
+        const toElement = this.findElementById(toId);
+        
+        if (fromElement && toElement) {
+            return this.connectionManager.addConnection(fromElement, toElement, options);
+        }
+        return null;
+    }
+    
+    removeConnection(connectionId) {
+        this.connectionManager.removeConnection(connectionId);
+    }
+    
+    /**
+     * Update a connection's metrics (e.g. { throughput: 1200 }) and its bound visuals
+     */
+    setConnectionMetrics(connectionId, metrics) {
+        return this.connectionManager.setConnectionMetrics(connectionId, metrics);
+    }
+    
+    /**
+     * Bounding box of every platform, component and visible connection
+     */
+    getContentBox() {
+        const box = new THREE.Box3();
+        [...Object.values(this.platforms), ...this.components].forEach(element => {
+            box.union(DiagramLinter.getElementBox(element));
+        });
+        
+        const connectionGroup = this.connectionManager.connectionGroup;
+        if (connectionGroup.visible && connectionGroup.children.length > 0) {
+            box.expandByObject(connectionGroup);
+        }
+        return box;
+    }
+    
+    /**
+     * Center and zoom the camera so the whole diagram is in view.
+     * options: { padding: 1.15, animated: true }
+     */
+    fitToContent(options = {}) {
+        return this.sceneManager.frameBox(this.getContentBox(), options);
+    }
+    
+    /**
+     * Animate the camera to frame one component or platform (a platform together with
+     * the components on it). options: { padding: 1.6, animated: true, maxZoom }
+     */
+    focusElement(id, options = {}) {
+        const element = this.findElementById(id);
+        if (!element) {
+            console.warn(`Cannot focus unknown element '${id}'`);
+            return false;
+        }
+        
+        const box = new THREE.Box3();
+        const elements = element.userData.type === 'platform' ? this.getAttachedElements(element) : [element];
+        elements.forEach(member => box.union(DiagramLinter.getElementBox(member)));
+        
+        return this.sceneManager.frameBox(box, { padding: 1.6, ...options });
+    }
+    
+    /**
+     * Switch to a projection preset ('isometric', 'dimetric', 'trimetric', 'cavalier', 'cabinet')
+     * or a custom spec, see SceneManager.setProjection
+     */
+    setProjection(projection, animated = true) {
+        const applied = this.sceneManager.setProjection(projection, animated);
+        if (applied) {
+            this.options.projection = projection;
+        }
+        return applied;
+    }
+    
+    /**
+     * Turn orbit/pan/zoom on or off, or change its settings (see SceneManager.CAMERA_CONTROLS)
+     */
+    setCameraControls(controls) {
+        this.options.cameraControls = controls;
+        this.sceneManager.setCameraControls(controls);
+    }
+    
+    /**
+     * Subscribe to a WebSocket or SSE endpoint and apply its status messages.
+     * options: { url, type: 'websocket' | 'sse', eventName, reconnect, reconnectDelay, parse }
+     */
+    connectDataSource(options) {
+        this.disconnectDataSource();
+        this.dataSource = new LiveDataSource(this, options).connect();
+        return this.dataSource;
+    }
+    
+    disconnectDataSource() {
+        if (this.dataSource) {
+            this.dataSource.disconnect();
+            this.dataSource = null;
+        }
+    }
+    
+    /**
+     * Load a recorded status/metric series for playback (see TimelinePlayer for the format).
+     * Given a URL the JSON is fetched first and a Promise of the player is returned.
+     * options: { duration, speed, loop, interpolate, showControls }
+     */
+    loadTimeline(series, options = {}) {
+        if (typeof series === 'string') {
+            return fetch(series)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load timeline ${series}: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(json => this.loadTimeline(json, options));
+        }
+        
+        this.unloadTimeline();
+        
+        const { showControls = true, ...playerOptions } = options;
+        this.timeline = new TimelinePlayer(this, series, playerOptions);
+        if (showControls) {
+            this.uiManager.createTimelineControls(this.timeline);
+        }
+        this.timeline.seek(this.timeline.startTime);
+        return this.timeline;
+    }
+    
+    unloadTimeline() {
+        if (!this.timeline) return;
+        
+        this.timeline.dispose();
+        this.uiManager.removeTimelineControls();
+        this.timeline = null;
+    }
+    
+    /**
+     * Replay one request's spans as a particle travelling the diagram (see TraceReplay).
+     * Given a URL the JSON is fetched first and a Promise of the replay is returned.
+     * options: { hopDuration, minDwell, maxDwell, timeScale, color, loop, showInfoCard, onSpan, onComplete }
+     */
+    replayTrace(trace, options = {}) {
+        if (typeof trace === 'string') {
+            return fetch(trace)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load trace ${trace}: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(json => this.replayTrace(json, options));
+        }
+        
+        this.stopTrace();
+        this.traceReplay = new TraceReplay(this, trace, options).play();
+        return this.traceReplay;
+    }
+    
+    stopTrace() {
+        if (this.traceReplay) {
+            this.traceReplay.stop();
+            this.traceReplay = null;
+        }
+    }
+    
+    /**
+     * Start a guided tour, by default the one from the config's `tour` field (see DiagramTour)
+     */
+    startTour(tour = this.tourConfig, index = 0) {
+        if (!tour) {
+            console.warn('No tour defined for this diagram');
+            return null;
         }
         
-        return material;
+        this.stopTour();
+        this.tour = new DiagramTour(this, tour).start(index);
+        return this.tour;
     }
     
-    createPlatform(platformData, material, layerName) {
-        const width = platformData.width || 4;
-        const height = platformData.height || 0.5;
-        const depth = platformData.depth || 4;
+    stopTour() {
+        if (this.tour) {
+            this.tour.stop();
+            this.tour = null;
+        }
+    }
+    
+    /**
+     * Apply a live update { id, status, metrics } to the component, platform or
+     * connection with that id. Returns false when nothing matches.
+     */
+    applyStatusUpdate(update) {
+        if (!update || update.id === undefined) {
+            console.warn('Ignoring live update without an id:', update);
+            return false;
+        }
         
-        const geometry = new THREE.BoxGeometry(width, height, depth);
-        const platform = new THREE.Mesh(geometry, material);
+        const element = this.findElementById(update.id);
+        if (element) {
+            this.applyElementStatus(element, update);
+            return true;
+        }
         
-        platform.position.set(
-            platformData.x || 0, 
-            platformData.y || -0.25, 
-            platformData.z || 0
-        );
-        platform.receiveShadow = true;
-        platform.userData = {
-            type: 'platform',
-            layer: layerName,
-            name: `${layerName.charAt(0).toUpperCase() + layerName.slice(1)} Platform`,
-            info: `Foundation layer for ${layerName} components`,
-            connectionPoint: { 
-                x: platformData.x || 0, 
-                y: platformData.y || 0, 
-                z: platformData.z || 0 
-            }
-        };
-        this.sceneManager.scene.add(platform);
-        return platform;
+        const connection = this.connectionManager.connections.find(conn => conn.id === String(update.id));
+        if (connection) {
+            this.applyConnectionStatus(connection, update);
+            return true;
+        }
+        
+        console.warn(`Live update for unknown id '${update.id}'`);
+        return false;
     }
     
-    createComponent(compData, layerName, hasPlataform) {
-        const size = compData.size || 1.5;
-        
-        let geometry;
-        const isDatabaseComponent = this.isDatabaseComponent(compData.name);
+    applyElementStatus(element, { status, metrics }) {
+        if (metrics) {
+            element.userData.metrics = { ...element.userData.metrics, ...metrics };
+        }
         
-        if (isDatabaseComponent) {
-            geometry = new THREE.CylinderGeometry(
-                size * 0.6,        
-                size * 0.6,        
-                size * 1.2,        
-                16,                
-                1                  
-            );
+        if (status !== undefined) {
+            this.setElementStatus(element.userData.id, status);
         } else {
-            const shape = new THREE.Shape();
-            const halfSize = size / 2;
-            
-            const radius = 0.1;
-            shape.moveTo(-halfSize + radius, -halfSize);
-            shape.lineTo(halfSize - radius, -halfSize);
-            shape.quadraticCurveTo(halfSize, -halfSize, halfSize, -halfSize + radius);
-            shape.lineTo(halfSize, halfSize - radius);
-            shape.quadraticCurveTo(halfSize, halfSize, halfSize - radius, halfSize);
-            shape.lineTo(-halfSize + radius, halfSize);
-            shape.quadraticCurveTo(-halfSize, halfSize, -halfSize, halfSize - radius);
-            shape.lineTo(-halfSize, -halfSize + radius);
-            shape.quadraticCurveTo(-halfSize, -halfSize, -halfSize + radius, -halfSize);
-            
-            const extrudeSettings = {
-                depth: size,
-                bevelEnabled: true,
-                bevelSegments: 8,
-                steps: 1,
-                bevelSize: 0.08,
-                bevelThickness: 0.05
-            };
-            
-            geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-            
-            // FIXED: Center the extruded geometry to ensure proper connection points
-            geometry.center();
+            this.uiManager.refreshInfoCard(element);
+        }
+    }
+    
+    applyConnectionStatus(connection, { status, metrics }) {
+        if (metrics) {
+            this.connectionManager.setConnectionMetrics(connection.id, metrics);
         }
         
-        let material;
-        if (hasPlataform) {
-            material = new THREE.MeshLambertMaterial({ 
-                color: compData.color || 0x64748b, 
-                opacity: 0.9, 
-                transparent: true 
-            });
-        } else {
-            material = new THREE.MeshLambertMaterial({ 
-                color: compData.color || 0x8b5cf6, 
-                opacity: 0.9, 
-                transparent: true,
-                emissive: 0x3b1065,
-                emissiveIntensity: 0.1
-            });
+        if (status !== undefined) {
+            connection.status = this.normalizeStatus(status);
+            this.connectionManager.setConnectionColor(connection.id, this.getHealthState(connection.status).color);
+        }
+    }
+    
+    /**
+     * Put a component or platform into a health state (ok, warning, critical, unknown,
+     * maintenance or a custom one from options.healthStates). The state is written back
+     * to the element's config so it survives rebuilds and serialization.
+     */
+    setElementStatus(id, status) {
+        const element = this.findElementById(id);
+        if (!element) {
+            console.warn(`Cannot set status of unknown element '${id}'`);
+            return false;
         }
         
-        const component = new THREE.Mesh(geometry, material);
+        const state = this.normalizeStatus(status);
+        element.userData.status = state;
         
-        // IMPROVED: More precise positioning on platforms
-        let yPos;
-        if (hasPlataform) {
-            // Position exactly on top of platform surface
-            const platformData = this.data[layerName].platform;
-            const platformHeight = platformData.height || 0.5;
-            const platformY = platformData.y || -0.25;
-            yPos = platformY + (platformHeight / 2) + (size / 2) + 0.05; // Small gap above platform
-        } else {
-            yPos = compData.y || 0.75; // Standalone cubes
+        const elementData = this.getElementData(element.userData.id);
+        if (elementData) {
+            elementData.status = state;
         }
         
-        component.position.set(compData.x || 0, yPos, compData.z || 0);
-        component.castShadow = true;
-        component.receiveShadow = true;
+        this.applyHealthState(element);
+        this.uiManager.refreshInfoCard(element);
+        return true;
+    }
+    
+    getElementStatus(id) {
+        const element = this.findElementById(id);
+        return element ? element.userData.status || 'ok' : null;
+    }
+    
+    /**
+     * Resolve aliases (degraded → warning, down → critical); unknown names become 'unknown'
+     */
+    normalizeStatus(status) {
+        const name = Diagram3D.STATUS_ALIASES[status] || status;
+        if (this.getHealthStates()[name]) return name;
         
-        component.userData = {
-            type: 'component',
-            name: compData.name || 'Unnamed Component',
-            layer: layerName,
-            info: compData.info || 'No information available',
-            hasPlataform: hasPlataform,
-            originalY: yPos,
-            isDatabaseComponent: isDatabaseComponent,
-            connectionPoint: { 
-                x: compData.x || 0, 
-                y: yPos, 
-                z: compData.z || 0 
+        console.warn(`Unknown status '${status}', showing it as unknown`);
+        return 'unknown';
+    }
+    
+    /**
+     * Built-in health states merged with options.healthStates overrides
+     */
+    getHealthStates() {
+        const overrides = this.options.healthStates || {};
+        const states = { ...Diagram3D.HEALTH_STATES };
+        Object.entries(overrides).forEach(([name, preset]) => {
+            states[name] = { ...Diagram3D.HEALTH_STATES.unknown, ...states[name], ...preset };
+        });
+        return states;
+    }
+    
+    getHealthState(status) {
+        const states = this.getHealthStates();
+        return states[status] || states.ok;
+    }
+    
+    /**
+     * Apply an element's state: tint its resting material, pulse glow and icon badge.
+     * Hover and selection swap in their own materials and restore the resting one
+     * afterwards, so the state shows again once the highlight ends.
+     */
+    applyHealthState(element) {
+        const state = this.getHealthState(element.userData.status);
+        element.userData.appliedStatus = element.userData.status;
+        
+        const material = this.getOwnMaterial(element);
+        if (element.userData.baseColor === undefined) {
+            element.userData.baseColor = material.color.getHex();
+            if (material.emissive) {
+                element.userData.baseEmissive = material.emissive.getHex();
+                element.userData.baseEmissiveIntensity = material.emissiveIntensity;
             }
-        };
+        }
+        material.color.setHex(state.color === null ? element.userData.baseColor : state.color);
+        if (material.emissive && !state.pulse) {
+            material.emissive.setHex(element.userData.baseEmissive);
+            material.emissiveIntensity = element.userData.baseEmissiveIntensity;
+        }
         
-        this.sceneManager.scene.add(component);
-        return component;
+        this.setHealthBadge(element, state);
+        
+        if (state.pulse && state.color !== null) {
+            element.userData.statusColor = state.color;
+        } else {
+            delete element.userData.statusColor;
+        }
+        
+        if (!this.interactionManager) return;
+        
+        const interaction = this.interactionManager;
+        interaction.removePulsingGlow(element);
+        if (element === interaction.hoveredComponent) {
+            interaction.addPulsingGlow(element);
+        }
+        interaction.restoreStatusGlow(element);
     }
     
-    isDatabaseComponent(componentName) {
-        const databaseKeywords = ['airtable', 'excel', 'database', 'db', 'storage', 'data'];
-        const name = (componentName || '').toLowerCase();
+    setHealthBadge(element, state) {
+        const existing = this.healthBadges.get(element);
+        if (existing && existing.userData.text === state.icon) return;
+        
+        this.removeHealthBadge(element);
+        if (!state.icon) return;
+        
+        const badge = LabelRenderer.createSprite(state.icon, {
+            color: '#ffffff',
+            background: state.color === null ? '#64748b' : state.color,
+            fontSize: 11,
+            padding: 3
+        });
         
-        if (name.includes('airtable') || name.includes('excel')) {
-            return true;
-        }
+        // Sits on the element's top front corner, clear of the name label above it
+        const size = element.userData.type === 'platform'
+            ? element.geometry.parameters
+            : ShapeRegistry.getBounds(element);
+        badge.userData.anchor = new THREE.Vector3(size.width / 2, size.height / 2 + 0.1, size.depth / 2);
+        badge.renderOrder = 11;
         
-        return databaseKeywords.some(keyword => name.includes(keyword));
+        this.healthBadges.set(element, badge);
+        this.badgeGroup.add(badge);
     }
     
-    createConnections() {
-        this.connections.forEach(conn => {
-            const fromElement = this.findElement(conn.from);
-            const toElement = this.findElement(conn.to);
+    removeHealthBadge(element) {
+        const badge = this.healthBadges.get(element);
+        if (!badge) return;
+        
+        this.badgeGroup.remove(badge);
+        LabelRenderer.disposeSprite(badge);
+        this.healthBadges.delete(element);
+    }
+    
+    /**
+     * Per-frame health upkeep: apply states set through config or rebuilt meshes,
+     * pulse emissive colors, keep badges on their elements and drop orphaned badges
+     */
+    updateHealthStates() {
+        const elements = [...Object.values(this.platforms), ...this.components];
+        const present = new Set(elements);
+        
+        this.healthBadges.forEach((badge, element) => {
+            if (!present.has(element)) this.removeHealthBadge(element);
+        });
+        
+        const time = Date.now() * 0.003;
+        const worldPerPixel = LabelRenderer.getWorldPerPixel(this.sceneManager.camera, this.container.clientHeight);
+        
+        elements.forEach(element => {
+            if (element.userData.appliedStatus !== element.userData.status) {
+                this.applyHealthState(element);
+            }
+            if (element.userData.status === undefined) return;
             
-            if (fromElement && toElement) {
-                this.connectionManager.addConnection(fromElement, toElement, conn.options || {});
-            } else {
-                console.warn('Connection element not found:', conn);
+            const state = this.getHealthState(element.userData.status);
+            if (state.pulse && state.color !== null) {
+                const material = this.getOwnMaterial(element);
+                if (material.emissive) {
+                    material.emissive.setHex(state.color);
+                    material.emissiveIntensity = 0.15 + (Math.sin(time) * 0.5 + 0.5) * 0.35;
+                }
+            }
+            
+            const badge = this.healthBadges.get(element);
+            if (badge) {
+                badge.position.copy(element.position).add(badge.userData.anchor.clone().multiply(element.scale));
+                badge.scale.set(badge.userData.pixelWidth * worldPerPixel, badge.userData.pixelHeight * worldPerPixel, 1);
             }
         });
     }
     
-    findElement(identifier) {
-        if (identifier.type === 'platform') {
-            return this.platforms[identifier.layer];
-        } else if (identifier.type === 'component') {
-            return this.components.find(c => 
-                c.userData.name === identifier.name || 
-                (identifier.layer && c.userData.layer === identifier.layer)
-            );
+    /**
+     * The material hover/selection resets to, cloned first if it is a shared layer material
+     */
+    getOwnMaterial(element) {
+        const original = this.interactionManager 
+            ? this.interactionManager.originalMaterials.get(element) 
+            : element.material;
+        
+        if (!Object.values(this.materials).includes(original)) {
+            return original;
         }
-        return null;
+        
+        const own = original.clone();
+        if (this.interactionManager) {
+            this.interactionManager.originalMaterials.set(element, own);
+        }
+        if (element.material === original) {
+            element.material = own;
+        }
+        return own;
     }
     
-    toggleConnections() {
-        const isVisible = this.connectionManager.connectionGroup.visible;
-        this.connectionManager.setVisible(!isVisible);
+    /**
+     * Serialize layers, connections, camera and display options to a plain object.
+     * The result can be passed to JSON.stringify() and back into load().
+     */
+    toJSON() {
+        return {
+            version: Diagram3D.SERIALIZATION_VERSION,
+            // The stock views drop a projection without going through setProjection()
+            options: JSON.parse(JSON.stringify({ ...this.options, projection: this.sceneManager.getProjection() })),
+            data: JSON.parse(JSON.stringify(this.data)),
+            connections: this.connectionManager.connections.map(conn => ({
+                ...(conn.explicitId ? { id: conn.id } : {}),
+                from: { id: conn.fromElement.userData.id },
+                to: { id: conn.toElement.userData.id },
+                options: JSON.parse(JSON.stringify(conn.userOptions || {}))
+            })),
+            ...(this.tourConfig ? { tour: JSON.parse(JSON.stringify(this.tourConfig)) } : {}),
+            camera: this.sceneManager.getCameraState()
+        };
     }
     
-    resetView() {
-        this.sceneManager.setIsometricView();
-        if (this.interactionManager) {
-            if (this.interactionManager.selectedComponent) {
-                this.interactionManager.resetComponentState(this.interactionManager.selectedComponent);
-                if (this.interactionManager.selectedComponent.userData.type === 'platform') {
-                    this.interactionManager.resetPlatformComponents(this.interactionManager.selectedComponent);
-                }
-                this.interactionManager.selectedComponent = null;
-            }
-            this.uiManager.hideInfoCard();
+    /**
+     * Replace the current diagram with a serialized one (object or JSON string) in place
+     */
+    load(json) {
+        const state = typeof json === 'string' ? JSON.parse(json) : JSON.parse(JSON.stringify(json));
+        
+        if (state.version !== undefined && state.version > Diagram3D.SERIALIZATION_VERSION) {
+            throw new Error(`Unsupported diagram version ${state.version}`);
         }
-    }
-    
-    addNewConnection(fromId, toId, options = {}) {
-        const fromElement = this.findElementById(fromId);
-        const toElement = this.findElementById(toId);
         
-        if (fromElement && toElement) {
-            return this.connectionManager.addConnection(fromElement, toElement, options);
+        this.validation = this.validateConfig(state);
+        this.stopTour();
+        this.stopTrace();
+        this.clearElements();
+        
+        if (state.options) {
+            Object.assign(this.options, state.options);
+            Object.assign(this.connectionManager.options, state.options);
+            this.setLabelsVisible(this.options.showLabels);
+        }
+        
+        this.data = state.data || {};
+        this.connections = state.connections || [];
+        this.tourConfig = state.tour || null;
+        this.uiManager.updateTourControls();
+        
+        this.createElements();
+        this.createConnections();
+        
+        if (state.camera) {
+            this.sceneManager.setCameraState(state.camera);
+        } else if (this.options.autoFit) {
+            this.fitToContent({ animated: false });
         }
-        return null;
     }
     
-    removeConnection(connectionId) {
-        this.connectionManager.removeConnection(connectionId);
+    /**
+     * Remove every connection, platform and component from the scene
+     */
+    clearElements() {
+        this.connectionManager.connections
+            .map(conn => conn.id)
+            .forEach(connectionId => this.connectionManager.removeConnection(connectionId));
+        
+        [...this.components, ...Object.values(this.platforms)].forEach(element => {
+            this.unregisterElement(element);
+        });
+        
+        this.components = [];
+        this.platforms = {};
+        this.elementIndex.clear();
+        this.elementDataIndex.clear();
     }
     
     /**
@@ -2587,17 +8523,137 @@ class Diagram3D {
         const animate = () => {
             requestAnimationFrame(animate);
             
+            this.updateForceLayout();
+            if (this.timeline) {
+                this.timeline.update();
+            }
             this.connectionManager.updateAnimations();
             if (this.interactionManager) {
                 this.interactionManager.updateAnimations();
             }
+            this.updateHealthStates();
             
-            this.sceneManager.render();
+            this.sceneManager.updateCamera();
+            this.updateLabels();
+            this.sceneManager.draw();
         };
         animate();
     }
     
+    /**
+     * Resize scene labels for the current zoom and hide/shift overlapping ones
+     */
+    updateLabels() {
+        const labels = [];
+        
+        if (this.options.showLabels) {
+            this.syncElementLabels();
+            labels.push(...this.getElementLabelsByPriority());
+        }
+        if (this.connectionManager.connectionGroup.visible) {
+            labels.push(...this.connectionManager.getLabels());
+        }
+        if (labels.length === 0) return;
+        
+        LabelRenderer.layout(
+            labels,
+            this.sceneManager.camera,
+            this.container.clientWidth,
+            this.container.clientHeight
+        );
+    }
+    
+    /**
+     * Create name labels for new elements, drop ones whose element is gone and
+     * redraw ones whose name changed
+     */
+    syncElementLabels() {
+        const elements = new Set([...Object.values(this.platforms), ...this.components]);
+        
+        this.elementLabels.forEach((sprite, element) => {
+            if (!elements.has(element) || sprite.userData.text !== element.userData.name) {
+                this.removeElementLabel(element);
+            }
+        });
+        
+        elements.forEach(element => {
+            if (!this.elementLabels.has(element)) {
+                this.createElementLabel(element);
+            }
+        });
+    }
+    
+    createElementLabel(element) {
+        const isPlatform = element.userData.type === 'platform';
+        const sprite = LabelRenderer.createSprite(element.userData.name, isPlatform
+            ? { color: '#ffffff', background: 'rgba(15, 23, 42, 0.75)', fontSize: 13 }
+            : { fontSize: 11 }
+        );
+        
+        // Platforms are labelled along their front edge, components above their top face
+        if (isPlatform) {
+            const { height, depth } = element.geometry.parameters;
+            sprite.userData.anchor = new THREE.Vector3(0, height / 2 + 0.15, depth / 2);
+        } else {
+            sprite.userData.anchor = new THREE.Vector3(0, ShapeRegistry.getBounds(element).height / 2 + 0.35, 0);
+        }
+        sprite.userData.elementId = element.userData.id;
+        
+        this.elementLabels.set(element, sprite);
+        this.labelGroup.add(sprite);
+    }
+    
+    removeElementLabel(element) {
+        const sprite = this.elementLabels.get(element);
+        if (!sprite) return;
+        
+        this.labelGroup.remove(sprite);
+        LabelRenderer.disposeSprite(sprite);
+        this.elementLabels.delete(element);
+    }
+    
+    /**
+     * Element labels positioned for this frame: the hovered/selected element first,
+     * then platforms, then components
+     */
+    getElementLabelsByPriority() {
+        const focused = this.interactionManager
+            ? [this.interactionManager.hoveredComponent, this.interactionManager.selectedComponent]
+            : [];
+        const rank = element => {
+            if (focused.includes(element)) return 0;
+            return element.userData.type === 'platform' ? 1 : 2;
+        };
+        
+        return Array.from(this.elementLabels.entries())
+            .sort(([a], [b]) => rank(a) - rank(b))
+            .map(([element, sprite]) => {
+                const anchor = sprite.userData.anchor.clone().multiply(element.scale);
+                sprite.userData.candidates = [element.position.clone().add(anchor)];
+                return sprite;
+            });
+    }
+    
+    /**
+     * Show or hide the always-on component and platform name labels
+     */
+    setLabelsVisible(visible) {
+        this.options.showLabels = visible;
+        this.labelGroup.visible = visible;
+    }
+    
+    toggleLabels() {
+        this.setLabelsVisible(!this.options.showLabels);
+        return this.options.showLabels;
+    }
+    
     dispose() {
+        this.disconnectDataSource();
+        this.unloadTimeline();
+        this.stopTrace();
+        this.stopTour();
+        Array.from(this.healthBadges.keys()).forEach(element => this.removeHealthBadge(element));
+        Array.from(this.elementLabels.keys()).forEach(element => this.removeElementLabel(element));
         this.sceneManager.dispose();
         if (this.interactionManager) {
             this.interactionManager.dispose();
@@ -2607,9 +8663,65 @@ class Diagram3D {
     }
 }
 
+Diagram3D.SERIALIZATION_VERSION = 1;
+Diagram3D.AUTO_LAYOUT_TYPES = ['layered', 'force'];
+
+/**
+ * Health state presets: color (null keeps the element's own), emissive pulse and badge icon.
+ * Override or extend them with options.healthStates.
+ */
+Diagram3D.HEALTH_STATES = {
+    ok: { color: null, pulse: false, icon: null },
+    warning: { color: 0xf59e0b, pulse: true, icon: '!' },
+    critical: { color: 0xef4444, pulse: true, icon: '✕' },
+    unknown: { color: 0x94a3b8, pulse: false, icon: '?' },
+    maintenance: { color: 0x6366f1, pulse: false, icon: '⚙' }
+};
+
+/**
+ * Other status names live sources commonly send
+ */
+Diagram3D.STATUS_ALIASES = {
+    healthy: 'ok',
+    degraded: 'warning',
+    down: 'critical',
+    error: 'critical'
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Diagram3D, SceneManager, ConnectionManager, BezierCurveGenerator };
+    module.exports = {
+        Diagram3D,
+        SceneManager,
+        ConnectionManager,
+        BezierCurveGenerator,
+        DiagramValidator,
+        DiagramValidationError,
+        validateDiagramConfig,
+        ShapeRegistry,
+        PlatformLayout,
+        LayeredLayout,
+        ForceLayout,
+        DiagramLinter,
+        LabelRenderer,
+        LiveDataSource,
+        TimelinePlayer,
+        TraceReplay,
+        DiagramTour
+    };
 } else {
     window.Diagram3D = Diagram3D;
+    window.DiagramValidator = DiagramValidator;
+    window.DiagramValidationError = DiagramValidationError;
+    window.validateDiagramConfig = validateDiagramConfig;
+    window.ShapeRegistry = ShapeRegistry;
+    window.PlatformLayout = PlatformLayout;
+    window.LayeredLayout = LayeredLayout;
+    window.ForceLayout = ForceLayout;
+    window.DiagramLinter = DiagramLinter;
+    window.LabelRenderer = LabelRenderer;
+    window.LiveDataSource = LiveDataSource;
+    window.TimelinePlayer = TimelinePlayer;
+    window.TraceReplay = TraceReplay;
+    window.DiagramTour = DiagramTour;
 }
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * ===== MOCK STATUS SERVER =====
+ * Tiny Server-Sent Events endpoint for trying out live status binding locally.
+ * No dependencies:
+ *
+ *   node asset_setups/integration_v2/mock-status-server.js
+ *
+ * then either add `dataSource: { url: 'http://localhost:8787/events' }` to the hospital
+ * diagram's options in demo-configurations.js, or attach it from the browser console of
+ * the demo page, which exposes the hospital diagram as window.hospitalDiagram:
+ *
+ *   hospitalDiagram.connectDataSource({ url: 'http://localhost:8787/events' });
+ *
+ * Every tick it sends a batch of { id, status, metrics } updates for the hospital demo's
+ * elements and connections.
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const INTERVAL = Number(process.env.INTERVAL) || 2000;
+
+// Element ids of the hospital demo (derived from component names and platform layers)
+const ELEMENT_IDS = [
+    'input-tables',
+    'pie-chart',
+    'year-selector',
+    'bar-chart',
+    'donut-chart',
+    'excel-calculator',
+    'web-calculator',
+    'output-tables',
+    'air-table',
+    'excel',
+    'database-platform'
+];
+
+// Connection ids of the hospital demo; their throughput/latency drive the trafficBindings
+const CONNECTION_IDS = [
+    'ui-to-logic',
+    'logic-to-output',
+    'output-to-database'
+];
+
+const STATUSES = ['ok', 'ok', 'ok', 'ok', 'warning', 'critical', 'maintenance'];
+
+const clients = new Set();
+
+function randomUpdate(id) {
+    return {
+        id,
+        status: STATUSES[Math.floor(Math.random() * STATUSES.length)],
+        metrics: {
+            throughput: Math.round(Math.random() * 5000),
+            latency: Math.round(20 + Math.random() * 300),
+            errorRate: Number((Math.random() * 0.05).toFixed(3))
+        }
+    };
+}
+
+function randomConnectionUpdate(id) {
+    return {
+        id,
+        status: STATUSES[Math.floor(Math.random() * STATUSES.length)],
+        metrics: {
+            throughput: Math.round(10 + Math.random() * 1990),
+            latency: Math.round(20 + Math.random() * Math.random() * 2000)
+        }
+    };
+}
+
+function broadcast() {
+    // A few elements and connections change per tick so the diagram doesn't flicker all at once
+    const updates = [
+        ...ELEMENT_IDS.filter(() => Math.random() < 0.3).map(randomUpdate),
+        ...CONNECTION_IDS.filter(() => Math.random() < 0.5).map(randomConnectionUpdate)
+    ];
+
+    if (updates.length === 0) return;
+
+    const payload = `data: ${JSON.stringify(updates)}\n\n`;
+    clients.forEach(response => response.write(payload));
+}
+
+const server = http.createServer((request, response) => {
+    if (request.url !== '/events') {
+        response.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+        response.end('Status stream is at /events\n');
+        return;
+    }
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+
+    // Start every client from a known state
+    response.write(`data: ${JSON.stringify([...ELEMENT_IDS, ...CONNECTION_IDS].map(id => ({ id, status: 'ok' })))}\n\n`);
+
+    clients.add(response);
+    request.on('close', () => clients.delete(response));
+});
+
+setInterval(broadcast, INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Mock status server streaming on http://localhost:${PORT}/events`);
+});